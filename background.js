@@ -1,6 +1,7 @@
 // RBC CSV Exporter Background Script
 class BackgroundService {
   constructor() {
+    this.creatingOffscreen = null;
     this.init();
   }
 
@@ -69,6 +70,14 @@ class BackgroundService {
         this.handleCSVDownload(request.data, sendResponse);
         break;
       
+      case 'extractPDFText':
+        this.handlePDFTextExtraction(request, sendResponse);
+        break;
+
+      case 'downloadStatement':
+        this.handleStatementDownload(request, sendResponse);
+        break;
+
       case 'getTabInfo':
         this.getTabInfo(sender.tab.id, sendResponse);
         break;
@@ -102,6 +111,83 @@ class BackgroundService {
     }
   }
 
+  /**
+   * Save a statement PDF under the given relative path in the Downloads folder,
+   * unless the download history shows that file was already saved and is still on disk
+   */
+  async handleStatementDownload(request, sendResponse) {
+    try {
+      if (await this.isAlreadyDownloaded(request.filename)) {
+        console.log('Statement already downloaded:', request.filename);
+        sendResponse({ success: true, skipped: true });
+        return;
+      }
+
+      const downloadId = await chrome.downloads.download({
+        url: 'data:application/pdf;base64,' + request.data,
+        filename: request.filename,
+        conflictAction: 'uniquify',
+        saveAs: false
+      });
+
+      sendResponse({ success: true, downloadId });
+    } catch (error) {
+      console.error('Error downloading statement:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  async isAlreadyDownloaded(relativePath) {
+    // History holds absolute paths with the platform's separator
+    const pattern = relativePath.split('/')
+      .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[\\\\/]');
+
+    const matches = await chrome.downloads.search({
+      filenameRegex: `(^|[\\\\/])${pattern}$`,
+      state: 'complete',
+      exists: true
+    });
+
+    return matches.length > 0;
+  }
+
+  async handlePDFTextExtraction(request, sendResponse) {
+    try {
+      await this.ensureOffscreenDocument();
+
+      // The offscreen document runs the bundled PDF.js and answers with each page's text items
+      const response = await chrome.runtime.sendMessage({
+        target: 'offscreen',
+        action: 'extractPDFText',
+        data: request.data,
+        maxPages: request.maxPages
+      });
+
+      sendResponse(response || { success: false, error: 'PDF reader did not respond' });
+    } catch (error) {
+      console.error('Error reading PDF:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  async ensureOffscreenDocument() {
+    if (await chrome.offscreen.hasDocument()) return;
+
+    // Several PDFs may be requested at once; only create the document once
+    if (!this.creatingOffscreen) {
+      this.creatingOffscreen = chrome.offscreen.createDocument({
+        url: 'offscreen.html',
+        reasons: ['WORKERS'],
+        justification: 'Parse PDF statements with the bundled PDF.js library'
+      }).finally(() => {
+        this.creatingOffscreen = null;
+      });
+    }
+
+    await this.creatingOffscreen;
+  }
+
   async getTabInfo(tabId, sendResponse) {
     try {
       const tab = await chrome.tabs.get(tabId);
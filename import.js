@@ -0,0 +1,232 @@
+// RBC CSV Exporter statement import page
+// Converts PDF statements saved on disk, without visiting online banking
+class StatementImportController {
+  constructor() {
+    this.pdfProcessor = new PDFProcessor();
+    this.entries = []; // { file, status, transactions, statement, error }
+    this.transactions = [];
+    this.exportMetadata = {};
+    this.isProcessing = false;
+    this.init();
+  }
+
+  async init() {
+    this.setupEventListeners();
+    await this.renderFormatOptions();
+  }
+
+  setupEventListeners() {
+    const dropZone = document.getElementById('drop-zone');
+    const fileInput = document.getElementById('file-input');
+    const formatSelect = document.getElementById('export-format');
+    const presetSelect = document.getElementById('csv-preset');
+    const downloadBtn = document.getElementById('download-btn');
+
+    // Dropping a file outside the drop zone would otherwise open it in this tab
+    window.addEventListener('dragover', (event) => event.preventDefault());
+    window.addEventListener('drop', (event) => event.preventDefault());
+
+    dropZone.addEventListener('dragover', (event) => {
+      event.preventDefault();
+      dropZone.classList.add('drag-over');
+    });
+
+    dropZone.addEventListener('dragleave', () => {
+      dropZone.classList.remove('drag-over');
+    });
+
+    dropZone.addEventListener('drop', (event) => {
+      event.preventDefault();
+      dropZone.classList.remove('drag-over');
+      this.addFiles(event.dataTransfer.files);
+    });
+
+    fileInput.addEventListener('change', () => {
+      this.addFiles(fileInput.files);
+      fileInput.value = ''; // Allow the same file to be chosen again
+    });
+
+    formatSelect.addEventListener('change', () => this.updatePresetVisibility());
+
+    presetSelect.addEventListener('change', () => {
+      saveExportSettings({ csvPreset: presetSelect.value }).catch(error => {
+        console.error('Error saving export settings:', error);
+      });
+    });
+
+    downloadBtn.addEventListener('click', () => this.download());
+  }
+
+  async renderFormatOptions() {
+    const formatSelect = document.getElementById('export-format');
+    const presetSelect = document.getElementById('csv-preset');
+    const settings = await loadExportSettings();
+
+    formatSelect.innerHTML = Object.entries(EXPORT_FORMATS).map(([value, format]) =>
+      `<option value="${value}">${escapeXML(format.label)}</option>`).join('');
+
+    presetSelect.innerHTML = [
+      ...Object.entries(CSV_PRESETS).map(([value, preset]) => ({ value, label: preset.label })),
+      ...settings.csvTemplates.map(template => ({ value: `template:${template.id}`, label: template.name }))
+    ].map(option => `<option value="${escapeXML(option.value)}">${escapeXML(option.label)}</option>`).join('');
+
+    presetSelect.value = settings.csvPreset;
+    if (!presetSelect.value) presetSelect.value = 'standard';
+    this.updatePresetVisibility();
+  }
+
+  updatePresetVisibility() {
+    const format = document.getElementById('export-format').value;
+    document.getElementById('preset-options').style.display = format === 'csv' ? 'flex' : 'none';
+  }
+
+  /**
+   * Queue PDFs from the file picker or a drop; other file types and repeats are ignored
+   */
+  addFiles(fileList) {
+    const isSameFile = (a, b) => a.name === b.name && a.size === b.size && a.lastModified === b.lastModified;
+    const pdfs = Array.from(fileList)
+      .filter(file => file.type === 'application/pdf' || /\.pdf$/i.test(file.name))
+      .filter(file => !this.entries.some(entry => isSameFile(entry.file, file)));
+
+    if (pdfs.length === 0) return;
+
+    this.entries.push(...pdfs.map(file => ({ file, status: 'queued' })));
+    this.renderFileList();
+    this.processQueue();
+  }
+
+  /**
+   * Process queued files one at a time; files dropped meanwhile join the same run
+   */
+  async processQueue() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      let entry;
+      while ((entry = this.entries.find(e => e.status === 'queued'))) {
+        entry.status = 'processing';
+        this.renderFileList();
+
+        try {
+          const pdfData = await entry.file.arrayBuffer();
+          const { transactions, statement } = await this.pdfProcessor.extractStatementFromPDF(pdfData);
+          Object.assign(entry, { status: 'done', transactions, statement });
+        } catch (error) {
+          console.error(`Error processing ${entry.file.name}:`, error);
+          Object.assign(entry, { status: 'error', error: error.message });
+        }
+
+        this.renderFileList();
+        this.updateResults();
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  updateResults() {
+    const processed = this.entries.filter(entry => entry.status === 'done');
+    const merged = mergeStatements(processed.map(entry => ({ name: entry.file.name, transactions: entry.transactions })));
+    this.transactions = merged.transactions;
+
+    // Report the span covered by all statements that print a period
+    const periods = processed.map(entry => entry.statement.period).filter(Boolean);
+    const accountInfo = periods.length > 0 ? {
+      dateRange: `${periods.map(p => p.start).sort()[0]} to ${periods.map(p => p.end).sort().pop()}`
+    } : {};
+
+    this.exportMetadata = {
+      source: 'pdf',
+      accountInfo,
+      extractedAt: new Date().toISOString(),
+      extractionMethod: 'pdf'
+    };
+
+    document.getElementById('transaction-count').textContent = this.transactions.length;
+    document.getElementById('statement-count').textContent = processed.length;
+    document.getElementById('duplicate-count').textContent = merged.duplicates > 0 ?
+      ` (${merged.duplicates} duplicates from overlapping statements removed)` :
+      '';
+    document.getElementById('results-section').style.display = this.transactions.length > 0 ? 'block' : 'none';
+  }
+
+  renderFileList() {
+    const fileList = document.getElementById('file-list');
+    fileList.innerHTML = '';
+
+    for (const entry of this.entries) {
+      const item = document.createElement('div');
+      item.className = `file-item ${entry.status}`;
+
+      const name = document.createElement('div');
+      name.className = 'file-name';
+      name.textContent = entry.file.name;
+      item.appendChild(name);
+
+      const status = document.createElement('div');
+      status.className = 'file-status';
+      status.textContent = this.describeStatus(entry);
+      item.appendChild(status);
+
+      if (entry.status === 'done') {
+        item.appendChild(this.renderReconciliation(entry.statement.reconciliation));
+      }
+
+      fileList.appendChild(item);
+    }
+  }
+
+  describeStatus(entry) {
+    switch (entry.status) {
+      case 'processing':
+        return '⏳ Processing…';
+      case 'done':
+        return `✅ ${entry.transactions.length} transactions · ${entry.statement.label}` +
+          (entry.statement.ocrPages > 0 ? ` · ${entry.statement.ocrPages} pages read with OCR` : '');
+      case 'error':
+        return `❌ ${entry.error}`;
+      default:
+        return 'Waiting…';
+    }
+  }
+
+  renderReconciliation(reconciliation) {
+    const description = describeReconciliation(reconciliation);
+    const container = document.createElement('div');
+    container.className = `pdf-reconciliation ${description.status}`;
+
+    const result = document.createElement('div');
+    result.className = 'reconciliation-result';
+    result.textContent = description.title;
+    container.appendChild(result);
+
+    for (const text of description.checks) {
+      const row = document.createElement('div');
+      row.className = 'reconciliation-check';
+      row.textContent = text;
+      container.appendChild(row);
+    }
+
+    return container;
+  }
+
+  async download() {
+    if (this.transactions.length === 0) return;
+
+    try {
+      const format = document.getElementById('export-format').value;
+      const settings = await loadExportSettings();
+      downloadTransactions(this.transactions, format, this.exportMetadata, settings);
+    } catch (error) {
+      console.error('Error downloading transactions:', error);
+      alert(`Download failed: ${error.message}`);
+    }
+  }
+}
+
+// Initialize the import page when the DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new StatementImportController();
+});
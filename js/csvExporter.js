@@ -1,40 +1,213 @@
 // CSV Export functionality for RBC CSV Exporter
 
+/**
+ * Header labels for the standard CSV columns, in export order
+ */
+const CSV_COLUMN_LABELS = {
+  date: 'Date',
+  account: 'Account', // Only filled by multi-account extraction
+  accountType: 'Account Type',
+  description: 'Description',
+  vendor: 'Vendor/Payee',
+  amount: 'Amount',
+  balance: 'Balance',
+  reference: 'Reference',
+  id: 'Transaction ID' // See assignTransactionIds
+};
+
+/**
+ * Fields a user-defined CSV template can pick from, with their default header labels
+ */
+const CSV_TEMPLATE_FIELDS = {
+  ...CSV_COLUMN_LABELS,
+  withdrawal: 'Withdrawal',
+  deposit: 'Deposit',
+  type: 'Type',
+  source: 'Source'
+};
+
+/**
+ * Quote a CSV field only if it contains comma, quotes, or newlines
+ */
+function escapeCSVValue(value) {
+  const text = String(value ?? '');
+  if (text.includes(',') || text.includes('"') || text.includes('\n')) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Money cells for a transaction under the sign settings, all plain decimals from integer cents
+ * amount stays signed (flipped for credit cards when invertCreditCardSigns is on);
+ * withdrawal and deposit hold the unsigned amount in whichever column applies
+ */
+function exportAmounts(transaction, settings = DEFAULT_EXPORT_SETTINGS) {
+  const balanceCents = balanceCentsOf(transaction);
+  const balance = balanceCents === null ? String(transaction.balance || '') : centsToDecimal(balanceCents);
+
+  let cents = amountCentsOf(transaction);
+  if (cents === null) {
+    return { amount: String(transaction.amount || ''), withdrawal: '', deposit: '', balance };
+  }
+
+  // Liability view: card charges increase what is owed, payments reduce it
+  if (settings.invertCreditCardSigns && transaction.accountType === 'credit') {
+    cents = -cents;
+  }
+
+  const magnitude = centsToDecimal(Math.abs(cents));
+  return {
+    amount: centsToDecimal(cents),
+    withdrawal: cents < 0 ? magnitude : '',
+    deposit: cents >= 0 ? magnitude : '',
+    balance
+  };
+}
+
+/**
+ * Format an amount for budgeting-app CSVs: plain number, no currency symbol or commas
+ * Pass sign = -1 to flip it (e.g. outflow columns that expect positive numbers)
+ */
+function formatPresetAmount(transaction, sign = 1) {
+  const cents = amountCentsOf(transaction);
+  return cents === null ? '' : centsToDecimal(cents * sign);
+}
+
+/**
+ * Budgeting-app CSV layouts, keyed by the value used in the preset dropdowns
+ * Each column maps a transaction (plus export metadata) to one cell
+ */
+const CSV_PRESETS = {
+  standard: {
+    label: 'Standard'
+  },
+  ynab: {
+    label: 'YNAB',
+    columns: [
+      { header: 'Date', value: t => formatDate(canonicalDateOf(t), 'MM/DD/YYYY') },
+      { header: 'Payee', value: t => t.vendor || t.description },
+      { header: 'Memo', value: t => t.vendor ? t.description : '' },
+      { header: 'Outflow', value: t => amountCentsOf(t) < 0 ? formatPresetAmount(t, -1) : '' },
+      { header: 'Inflow', value: t => amountCentsOf(t) >= 0 ? formatPresetAmount(t) : '' }
+    ]
+  },
+  actual: {
+    label: 'Actual Budget',
+    columns: [
+      { header: 'Date', value: t => formatDate(canonicalDateOf(t), 'YYYY-MM-DD') },
+      { header: 'Payee', value: t => t.vendor || t.description },
+      { header: 'Notes', value: t => t.vendor ? t.description : '' },
+      { header: 'Amount', value: t => formatPresetAmount(t) }
+    ]
+  },
+  firefly: {
+    label: 'Firefly III',
+    columns: [
+      { header: 'Date', value: t => formatDate(canonicalDateOf(t), 'YYYY-MM-DD') },
+      { header: 'Description', value: t => t.description || t.vendor },
+      { header: 'Amount', value: t => formatPresetAmount(t) },
+      { header: 'Opposing Account', value: t => t.vendor },
+      { header: 'Notes', value: t => t.reference },
+      { header: 'External ID', value: t => t.id }
+    ]
+  },
+  monarch: {
+    label: 'Monarch Money',
+    columns: [
+      { header: 'Date', value: t => formatDate(canonicalDateOf(t), 'YYYY-MM-DD') },
+      { header: 'Merchant', value: t => t.vendor || t.description },
+      { header: 'Category', value: () => '' },
+      { header: 'Account', value: (t, metadata) => t.account || metadata.accountInfo?.accountName || '' },
+      { header: 'Original Statement', value: t => [t.description, t.vendor].filter(Boolean).join(' - ') },
+      { header: 'Notes', value: () => '' },
+      { header: 'Amount', value: t => formatPresetAmount(t) },
+      { header: 'Tags', value: () => '' }
+    ]
+  }
+};
+
+/**
+ * Convert transactions using a user-defined template ({ columns: [{ key, label }], keepEmptyColumns })
+ */
+function convertToTemplateCSV(transactions, template, settings = DEFAULT_EXPORT_SETTINGS) {
+  const rows = transactions.map(transaction => ({ ...transaction, ...exportAmounts(transaction, settings) }));
+  const columns = template.keepEmptyColumns ?
+    template.columns :
+    template.columns.filter(column => rows.some(row => row[column.key] && row[column.key] !== ''));
+  const datePattern = resolveDateFormat(settings);
+
+  const csvHeaders = columns.map(column => escapeCSVValue(column.label || CSV_TEMPLATE_FIELDS[column.key] || column.key)).join(',');
+  const csvRows = rows.map(row =>
+    columns.map(column => {
+      if (column.key === 'date') {
+        return escapeCSVValue(formatDate(canonicalDateOf(row), datePattern));
+      }
+
+      const value = String(row[column.key] ?? '');
+      // Match the standard export: amounts lose their thousands separators instead of being quoted
+      return ['amount', 'withdrawal', 'deposit', 'balance'].includes(column.key) ?
+        value.replace(/,/g, '') :
+        escapeCSVValue(value);
+    }).join(',')
+  );
+
+  return [csvHeaders, ...csvRows].join('\n');
+}
+
 /**
  * Convert transactions array to CSV string
+ * settings.csvPreset picks a budgeting-app layout from CSV_PRESETS, or 'template:<id>' one of
+ * the user's saved templates; 'standard' is the RBC-style export. Standard and template
+ * dates follow settings.dateFormat, presets use the date format their app expects.
  */
-function convertToCSV(transactions) {
+function convertToCSV(transactions, settings = DEFAULT_EXPORT_SETTINGS, metadata = {}) {
   if (transactions.length === 0) return '';
 
-  // Define column order to match standard bank exports
-  const orderedHeaders = ['date', 'accountType', 'description', 'vendor', 'amount', 'balance', 'reference'];
+  const presetName = settings.csvPreset || 'standard';
+  const datePattern = resolveDateFormat(settings);
+
+  if (presetName.startsWith('template:')) {
+    const template = (settings.csvTemplates || []).find(t => `template:${t.id}` === presetName);
+    if (template) {
+      return convertToTemplateCSV(transactions, template, settings);
+    }
+    console.warn('CSV template not found, using the standard layout:', presetName);
+  }
+
+  const preset = CSV_PRESETS[presetName];
+  if (preset && preset.columns) {
+    const csvHeaders = preset.columns.map(column => escapeCSVValue(column.header)).join(',');
+    const csvRows = transactions.map(transaction =>
+      preset.columns.map(column => escapeCSVValue(column.value(transaction, metadata))).join(',')
+    );
+    return [csvHeaders, ...csvRows].join('\n');
+  }
+
+  // Define column order to match standard bank exports; split mode swaps Amount
+  // for separate Withdrawal and Deposit columns
+  const orderedHeaders = Object.keys(CSV_COLUMN_LABELS).flatMap(header =>
+    header === 'amount' && settings.amountColumns === 'split' ? ['withdrawal', 'deposit'] : [header]
+  );
+  const rows = transactions.map(transaction => ({ ...transaction, ...exportAmounts(transaction, settings) }));
 
   // Filter to only include headers that have data
   const headers = orderedHeaders.filter(header =>
-    transactions.some(t => t[header] && t[header] !== '')
+    rows.some(row => row[header] && row[header] !== '')
   );
 
   // Create CSV header with proper capitalization
-  const csvHeaders = headers.map(h => {
-    switch(h) {
-      case 'date': return 'Date';
-      case 'accountType': return 'Account Type';
-      case 'description': return 'Description';
-      case 'vendor': return 'Vendor/Payee';
-      case 'amount': return 'Amount';
-      case 'balance': return 'Balance';
-      case 'reference': return 'Reference';
-      default: return h.charAt(0).toUpperCase() + h.slice(1);
-    }
-  }).join(',');
+  const csvHeaders = headers.map(h => CSV_TEMPLATE_FIELDS[h]).join(',');
 
   // Create CSV rows
-  const csvRows = transactions.map(transaction => {
+  const csvRows = rows.map(transaction => {
     return headers.map(header => {
-      let value = String(transaction[header] || '');
+      let value = header === 'date' ?
+        formatDate(canonicalDateOf(transaction), datePattern) :
+        String(transaction[header] || '');
       
       // For amount and balance fields, remove commas instead of quoting
-      if (header === 'amount' || header === 'balance') {
+      if (['amount', 'withdrawal', 'deposit', 'balance'].includes(header)) {
         value = value.replace(/,/g, '');
         return value;
       }
@@ -44,12 +217,7 @@ function convertToCSV(transactions) {
         return `"${value.replace(/"/g, '""')}"`;
       }
       
-      // Quote other fields only if they contain comma, quotes, or newlines
-      if (value.includes(',') || value.includes('"') || value.includes('\n')) {
-        return `"${value.replace(/"/g, '""')}"`;
-      }
-      
-      return value;
+      return escapeCSVValue(value);
     }).join(',');
   });
 
@@ -57,21 +225,453 @@ function convertToCSV(transactions) {
 }
 
 /**
- * Download transactions as CSV file
+ * Escape text for inclusion in an XML element
  */
-function downloadCSV(transactions, source = 'web') {
-  const csv = convertToCSV(transactions);
-  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Format a Date as an OFX datetime (YYYYMMDDHHMMSS)
+ */
+function formatOFXDateTime(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+// Intuit's bank ID for RBC Royal Bank, which Quicken Web Connect needs to accept a QFX file
+const RBC_INTUIT_BID = '00024';
+
+/**
+ * OFX ACCTTYPE of a bank (non-card) account, from the account name shown on the page
+ * or the statement type of PDF rows
+ */
+function ofxBankAccountType(transactions, accountInfo = {}) {
+  const name = accountInfo.accountName || '';
+  if (/line of credit/i.test(name) || transactions.some(t => t.statementType === 'loc')) return 'CREDITLINE';
+  if (/savings?/i.test(name)) return 'SAVINGS';
+  return 'CHECKING';
+}
+
+/**
+ * Split transactions into one OFX statement per account: by the account multi-account runs tag
+ * rows with, and card rows apart from chequing/savings rows exported together
+ * Returns [{ account, isCreditCard, rows }]
+ */
+function ofxStatementGroups(transactions) {
+  const byAccount = new Map();
+  for (const transaction of transactions) {
+    const account = transaction.account || '';
+    byAccount.set(account, [...(byAccount.get(account) || []), transaction]);
+  }
+
+  return Array.from(byAccount).flatMap(([account, rows]) => {
+    const hasCard = rows.some(t => t.accountType === 'credit');
+    const hasBank = rows.some(t => t.accountType === 'debit');
+    if (!hasCard || !hasBank) return [{ account, isCreditCard: hasCard, rows }];
+
+    return [
+      { account, isCreditCard: false, rows: rows.filter(t => t.accountType !== 'credit') },
+      { account, isCreditCard: true, rows: rows.filter(t => t.accountType === 'credit') }
+    ];
+  });
+}
+
+/**
+ * Convert transactions array to an OFX 2.2 document
+ * Every account gets its own statement (see ofxStatementGroups): credit cards in the
+ * CREDITCARDMSGSRSV1 wrapper, everything else in BANKMSGSRSV1
+ * Pass { qfx: true } for the Quicken-flavoured variant (adds INTU.BID when provided)
+ */
+function convertToOFX(transactions, accountInfo = {}, options = {}) {
+  if (transactions.length === 0) return '';
+
+  const now = new Date();
+  const status = '<STATUS>\n<CODE>0</CODE>\n<SEVERITY>INFO</SEVERITY>\n</STATUS>';
+  // The transaction id doubles as the FITID, so re-importing the same rows is recognised
+  const groups = ofxStatementGroups(assignTransactionIds(transactions));
+  const isSingleAccount = new Set(groups.map(group => group.account)).size === 1;
+
+  const statements = groups.map((group, index) => {
+    // The page's account details only describe the rows when they all come from one account
+    const details = isSingleAccount ? accountInfo : { accountName: group.account };
+    const accountId = group.account.replace(/\D/g, '') ||
+      (isSingleAccount ? (accountInfo.accountNumber || '').replace(/\D/g, '') : hashString(group.account).toUpperCase()) ||
+      'UNKNOWN';
+    const entries = [];
+
+    group.rows.forEach(transaction => {
+      const parts = parseDateParts(canonicalDateOf(transaction));
+      const amount = amountCentsOf(transaction);
+
+      if (!parts || amount === null) {
+        console.warn('Skipping transaction without a readable date or amount for OFX:', transaction);
+        return;
+      }
+
+      entries.push({
+        transaction,
+        posted: `${parts.year}${parts.month}${parts.day}`,
+        amount,
+        fitid: transaction.id
+      });
+    });
+
+    const postedDates = entries.map(e => e.posted).sort();
+    const dtStart = postedDates[0] || formatOFXDateTime(now).slice(0, 8);
+    const dtEnd = postedDates[postedDates.length - 1] || dtStart;
+
+    // Prefer the account balance shown on the page, then the newest running balance
+    const accountBalance = parseMoney(details.balance);
+    let ledgerBalance = accountBalance ? accountBalance.cents : null;
+    if (ledgerBalance === null) {
+      const withBalance = group.rows.find(t => balanceCentsOf(t) !== null);
+      ledgerBalance = withBalance ? balanceCentsOf(withBalance) : 0;
+    }
+
+    const statementTransactions = entries.map(({ transaction, posted, amount, fitid }) => {
+      const name = (transaction.vendor || transaction.description || 'Transaction').substring(0, 32);
+      const memo = transaction.description && transaction.description !== name ? transaction.description : '';
+
+      return [
+        '<STMTTRN>',
+        `<TRNTYPE>${amount < 0 ? 'DEBIT' : 'CREDIT'}</TRNTYPE>`,
+        `<DTPOSTED>${posted}</DTPOSTED>`,
+        `<TRNAMT>${centsToDecimal(amount)}</TRNAMT>`,
+        `<FITID>${fitid}</FITID>`,
+        `<NAME>${escapeXML(name)}</NAME>`,
+        memo ? `<MEMO>${escapeXML(memo.substring(0, 255))}</MEMO>` : '',
+        '</STMTTRN>'
+      ].filter(Boolean).join('\n');
+    });
+
+    const statementBody = [
+      `<CURDEF>${currencyOf(group.rows[0])}</CURDEF>`,
+      group.isCreditCard ?
+        `<CCACCTFROM>\n<ACCTID>${escapeXML(accountId)}</ACCTID>\n</CCACCTFROM>` :
+        `<BANKACCTFROM>\n<BANKID>003</BANKID>\n<ACCTID>${escapeXML(accountId)}</ACCTID>\n<ACCTTYPE>${ofxBankAccountType(group.rows, details)}</ACCTTYPE>\n</BANKACCTFROM>`,
+      '<BANKTRANLIST>',
+      `<DTSTART>${dtStart}</DTSTART>`,
+      `<DTEND>${dtEnd}</DTEND>`,
+      ...statementTransactions,
+      '</BANKTRANLIST>',
+      '<LEDGERBAL>',
+      `<BALAMT>${centsToDecimal(ledgerBalance)}</BALAMT>`,
+      `<DTASOF>${formatOFXDateTime(now)}</DTASOF>`,
+      '</LEDGERBAL>'
+    ];
+
+    const lines = group.isCreditCard ?
+      ['<CCSTMTTRNRS>', `<TRNUID>${index + 1}</TRNUID>`, status, '<CCSTMTRS>', ...statementBody, '</CCSTMTRS>', '</CCSTMTTRNRS>'] :
+      ['<STMTTRNRS>', `<TRNUID>${index + 1}</TRNUID>`, status, '<STMTRS>', ...statementBody, '</STMTRS>', '</STMTTRNRS>'];
+    return { isCreditCard: group.isCreditCard, lines };
+  });
+
+  const bankStatements = statements.filter(statement => !statement.isCreditCard);
+  const cardStatements = statements.filter(statement => statement.isCreditCard);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+    '<OFX>',
+    '<SIGNONMSGSRSV1>',
+    '<SONRS>',
+    status,
+    `<DTSERVER>${formatOFXDateTime(now)}</DTSERVER>`,
+    '<LANGUAGE>ENG</LANGUAGE>',
+    '<FI>\n<ORG>RBC</ORG>\n</FI>',
+    // Quicken matches Web Connect files to a bank through its Intuit BID
+    options.qfx && options.intuBid ? `<INTU.BID>${escapeXML(options.intuBid)}</INTU.BID>` : '',
+    '</SONRS>',
+    '</SIGNONMSGSRSV1>',
+    ...(bankStatements.length > 0 ?
+      ['<BANKMSGSRSV1>', ...bankStatements.flatMap(statement => statement.lines), '</BANKMSGSRSV1>'] : []),
+    ...(cardStatements.length > 0 ?
+      ['<CREDITCARDMSGSRSV1>', ...cardStatements.flatMap(statement => statement.lines), '</CREDITCARDMSGSRSV1>'] : []),
+    '</OFX>'
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Convert transactions array to QIF
+ * Credit card rows go in a !Type:CCard section, chequing/savings rows in !Type:Bank
+ */
+function convertToQIF(transactions) {
+  if (transactions.length === 0) return '';
+
+  const sections = [
+    { header: '!Type:Bank', rows: transactions.filter(t => t.accountType !== 'credit') },
+    { header: '!Type:CCard', rows: transactions.filter(t => t.accountType === 'credit') }
+  ];
+
+  // QIF fields are single-line, so fold any newlines into spaces
+  const field = value => String(value || '').replace(/[\r\n]+/g, ' ').trim();
+
+  const lines = [];
+  for (const section of sections) {
+    if (section.rows.length === 0) continue;
+
+    lines.push(section.header);
+    for (const transaction of section.rows) {
+      const parts = parseDateParts(canonicalDateOf(transaction));
+      const amount = amountCentsOf(transaction);
+
+      if (!parts || amount === null) {
+        console.warn('Skipping transaction without a readable date or amount for QIF:', transaction);
+        continue;
+      }
+
+      lines.push(`D${parts.month}/${parts.day}/${parts.year}`);
+      lines.push(`T${centsToDecimal(amount)}`);
+      if (transaction.vendor) lines.push(`P${field(transaction.vendor)}`);
+      // QIF has no id field; the transaction id rides along at the end of the memo
+      const memo = [field(transaction.description), transaction.id ? `[${transaction.id}]` : ''].filter(Boolean).join(' ');
+      if (memo) lines.push(`M${memo}`);
+      if (transaction.reference) lines.push(`N${field(transaction.reference)}`);
+      lines.push('^');
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Pair each transaction with its ISO date and amount in cents, oldest first
+ * Rows without a readable date or amount are skipped with a warning
+ */
+function prepareJournalEntries(transactions, formatName) {
+  const entries = [];
+
+  for (const transaction of transactions) {
+    const parts = parseDateParts(canonicalDateOf(transaction));
+    const amount = amountCentsOf(transaction);
+
+    if (!parts || amount === null) {
+      console.warn(`Skipping transaction without a readable date or amount for ${formatName}:`, transaction);
+      continue;
+    }
+
+    entries.push({
+      transaction,
+      isoDate: `${parts.year}-${parts.month}-${parts.day}`,
+      amount
+    });
+  }
+
+  // Journals read top to bottom in date order; RBC lists newest first
+  return entries.sort((a, b) => a.isoDate.localeCompare(b.isoDate));
+}
+
+/**
+ * Pick the account a transaction posts to: credit card rows land on the liability account
+ */
+function journalAccountFor(transaction, settings) {
+  return transaction.accountType === 'credit' ?
+    settings.ledgerLiabilityAccount :
+    settings.ledgerAssetAccount;
+}
+
+/**
+ * Convert transactions array to Beancount entries
+ */
+function convertToBeancount(transactions, settings = DEFAULT_EXPORT_SETTINGS) {
+  if (transactions.length === 0) return '';
+
+  const quote = value => `"${String(value || '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/[\r\n]+/g, ' ')}"`;
+
+  const entries = prepareJournalEntries(transactions, 'Beancount').map(({ transaction, isoDate, amount }) => {
+    const payee = transaction.vendor || transaction.description || '';
+    const narration = transaction.vendor ? transaction.description : '';
+
+    return [
+      `${isoDate} * ${quote(payee)} ${quote(narration)}`,
+      transaction.id ? `  id: ${quote(transaction.id)}` : '',
+      `  ${journalAccountFor(transaction, settings)}  ${centsToDecimal(amount)} ${currencyOf(transaction)}`,
+      `  ${settings.ledgerCounterAccount}`
+    ].filter(Boolean).join('\n');
+  });
+
+  return `; Exported by RBC CSV Exporter\n\n${entries.join('\n\n')}\n`;
+}
+
+/**
+ * Convert transactions array to Ledger/hledger journal entries
+ */
+function convertToLedger(transactions, settings = DEFAULT_EXPORT_SETTINGS) {
+  if (transactions.length === 0) return '';
+
+  const singleLine = value => String(value || '').replace(/[\r\n]+/g, ' ').trim();
+
+  const entries = prepareJournalEntries(transactions, 'Ledger').map(({ transaction, isoDate, amount }) => {
+    const payee = singleLine(transaction.vendor || transaction.description);
+    const lines = [`${isoDate.replace(/-/g, '/')} ${payee}`];
+
+    if (transaction.vendor && transaction.description) {
+      lines.push(`    ; ${singleLine(transaction.description)}`);
+    }
+    if (transaction.id) {
+      lines.push(`    ; id: ${transaction.id}`);
+    }
+
+    lines.push(`    ${journalAccountFor(transaction, settings)}  ${centsToDecimal(amount)} ${currencyOf(transaction)}`);
+    lines.push(`    ${settings.ledgerCounterAccount}`);
+    return lines.join('\n');
+  });
+
+  return `; Exported by RBC CSV Exporter\n\n${entries.join('\n\n')}\n`;
+}
+
+/**
+ * Build the envelope written around JSON exports (schema documented in README.md)
+ */
+function buildJSONEnvelope(transactions, metadata = {}) {
+  let extensionVersion = '';
+  try {
+    extensionVersion = chrome.runtime.getManifest().version;
+  } catch (error) {
+    console.warn('Could not read extension version:', error);
+  }
+
+  return {
+    schema: 'rbc-csv-exporter/transactions',
+    schemaVersion: 1,
+    extensionVersion,
+    exportedAt: new Date().toISOString(),
+    extractedAt: metadata.extractedAt || null,
+    extractionMethod: metadata.extractionMethod || '',
+    accountInfo: metadata.accountInfo || {},
+    transactionCount: transactions.length
+  };
+}
+
+/**
+ * Copy a transaction for JSON output, filling in its source from the extraction
+ */
+function toJSONTransaction(transaction, metadata = {}) {
+  return {
+    ...transaction,
+    source: transaction.source || (metadata.source === 'pdf' ? 'PDF' : 'Web')
+  };
+}
+
+/**
+ * Convert transactions array to a JSON document with the export envelope
+ */
+function convertToJSON(transactions, metadata = {}) {
+  return JSON.stringify({
+    ...buildJSONEnvelope(transactions, metadata),
+    transactions: transactions.map(t => toJSONTransaction(t, metadata))
+  }, null, 2);
+}
+
+/**
+ * Convert transactions array to newline-delimited JSON
+ * The first line is the envelope, every following line one transaction
+ */
+function convertToNDJSON(transactions, metadata = {}) {
+  const lines = [
+    JSON.stringify({ record: 'envelope', ...buildJSONEnvelope(transactions, metadata) }),
+    ...transactions.map(t => JSON.stringify({ record: 'transaction', ...toJSONTransaction(t, metadata) }))
+  ];
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Available export formats, keyed by the value used in the format dropdowns
+ */
+const EXPORT_FORMATS = {
+  csv: {
+    label: 'CSV',
+    extension: 'csv',
+    mimeType: 'text/csv;charset=utf-8;',
+    convert: (transactions, metadata, settings) => convertToCSV(transactions, settings, metadata)
+  },
+  ofx: {
+    label: 'OFX 2.2',
+    extension: 'ofx',
+    mimeType: 'application/x-ofx;charset=utf-8;',
+    convert: (transactions, metadata) => convertToOFX(transactions, metadata.accountInfo)
+  },
+  qfx: {
+    label: 'QFX (Quicken)',
+    extension: 'qfx',
+    mimeType: 'application/vnd.intu.qfx;charset=utf-8;',
+    convert: (transactions, metadata) => convertToOFX(transactions, metadata.accountInfo, { qfx: true, intuBid: RBC_INTUIT_BID })
+  },
+  qif: {
+    label: 'QIF',
+    extension: 'qif',
+    mimeType: 'application/qif;charset=utf-8;',
+    convert: (transactions) => convertToQIF(transactions)
+  },
+  xlsx: {
+    label: 'Excel (.xlsx)',
+    extension: 'xlsx',
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    convert: (transactions, metadata, settings) => convertToXLSX(transactions, metadata, settings)
+  },
+  beancount: {
+    label: 'Beancount',
+    extension: 'beancount',
+    mimeType: 'text/plain;charset=utf-8;',
+    convert: (transactions, metadata, settings) => convertToBeancount(transactions, settings)
+  },
+  ledger: {
+    label: 'Ledger / hledger',
+    extension: 'ledger',
+    mimeType: 'text/plain;charset=utf-8;',
+    convert: (transactions, metadata, settings) => convertToLedger(transactions, settings)
+  },
+  json: {
+    label: 'JSON',
+    extension: 'json',
+    mimeType: 'application/json;charset=utf-8;',
+    convert: (transactions, metadata) => convertToJSON(transactions, metadata)
+  },
+  ndjson: {
+    label: 'NDJSON',
+    extension: 'ndjson',
+    mimeType: 'application/x-ndjson;charset=utf-8;',
+    convert: (transactions, metadata) => convertToNDJSON(transactions, metadata)
+  }
+};
+
+/**
+ * Download transactions in the given export format
+ * metadata carries { source, accountInfo, extractedAt, extractionMethod } from the extraction
+ */
+function downloadTransactions(transactions, format = 'csv', metadata = {}, settings = DEFAULT_EXPORT_SETTINGS) {
+  const exportFormat = EXPORT_FORMATS[format] || EXPORT_FORMATS.csv;
+  const content = exportFormat.convert(assignTransactionIds(transactions), { accountInfo: {}, ...metadata }, settings);
+  const source = metadata.source || 'web';
+  const blob = new Blob([content], { type: exportFormat.mimeType });
   const link = document.createElement('a');
 
   if (link.download !== undefined) {
     const url = URL.createObjectURL(blob);
     link.setAttribute('href', url);
     const sourceLabel = source === 'pdf' ? 'pdf' : 'web';
-    link.setAttribute('download', `rbc_transactions_${sourceLabel}_${new Date().toISOString().split('T')[0]}.csv`);
+    link.setAttribute('download', `rbc_transactions_${sourceLabel}_${new Date().toISOString().split('T')[0]}.${exportFormat.extension}`);
     link.style.visibility = 'hidden';
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
+
+    // The download has started by now; release the blob
+    setTimeout(() => URL.revokeObjectURL(url), 0);
   }
 }
+
+/**
+ * Download transactions as CSV file
+ */
+function downloadCSV(transactions, source = 'web') {
+  downloadTransactions(transactions, 'csv', { source });
+}
@@ -0,0 +1,94 @@
+// Export watermarks for RBC CSV Exporter
+// Remember how far each account has been exported, so the next export can hold only what is new
+
+const EXPORT_WATERMARKS_STORAGE_KEY = 'exportWatermarks';
+
+/**
+ * Identify a transaction by date, amount and description (see mergeStatements for the same key)
+ */
+function transactionFingerprint(transaction) {
+  return hashString([
+    canonicalDateOf(transaction),
+    amountCentsOf(transaction),
+    (transaction.description || '').toLowerCase().trim()
+  ].join('|'));
+}
+
+/**
+ * Watermark for a set of exported transactions: the latest date, and the fingerprint of every
+ * row on that date (repeats included), since later rows can still be posted on that same day
+ * Returns null when no transaction has a date
+ */
+function buildExportWatermark(transactions) {
+  const dated = transactions.filter(transaction => canonicalDateOf(transaction));
+  if (dated.length === 0) return null;
+
+  const date = dated.map(canonicalDateOf).sort().pop();
+  return {
+    date,
+    fingerprints: dated.filter(transaction => canonicalDateOf(transaction) === date).map(transactionFingerprint),
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Transactions not covered by a watermark: anything dated after it, and rows on its date beyond
+ * the copies already exported
+ */
+function filterNewTransactions(transactions, watermark) {
+  if (!watermark) return transactions;
+
+  const exported = {};
+  for (const fingerprint of watermark.fingerprints) {
+    exported[fingerprint] = (exported[fingerprint] || 0) + 1;
+  }
+
+  return transactions.filter(transaction => {
+    const date = canonicalDateOf(transaction);
+    if (date !== watermark.date) return date > watermark.date;
+
+    const fingerprint = transactionFingerprint(transaction);
+    if (exported[fingerprint] > 0) {
+      exported[fingerprint]--;
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Whether a Show More load covered everything since the last export, so it may move the watermark:
+ * never after a cancel, and in new-only mode only once the list ran out or reached the last export
+ * (a stalled load there leaves a gap between the last export and the oldest row loaded)
+ */
+function isCompleteLoad(loading, newOnly) {
+  if (loading.cancelled) return false;
+  return !newOnly || Boolean(loading.reachedEnd);
+}
+
+async function loadExportWatermark(accountKey) {
+  try {
+    const stored = await chrome.storage.local.get(EXPORT_WATERMARKS_STORAGE_KEY);
+    return (stored[EXPORT_WATERMARKS_STORAGE_KEY] || {})[accountKey] || null;
+  } catch (error) {
+    console.error('Error loading export watermark:', error);
+    return null;
+  }
+}
+
+/**
+ * Record that an account's transactions were exported up to the newest of them
+ * The watermark only moves forward, so exporting an older range doesn't rewind it
+ */
+async function saveExportWatermark(accountKey, transactions) {
+  const watermark = buildExportWatermark(transactions);
+  if (!watermark) return;
+
+  const stored = await chrome.storage.local.get(EXPORT_WATERMARKS_STORAGE_KEY);
+  const watermarks = stored[EXPORT_WATERMARKS_STORAGE_KEY] || {};
+  const previous = watermarks[accountKey];
+  if (previous && previous.date > watermark.date) return;
+
+  watermarks[accountKey] = watermark;
+  await chrome.storage.local.set({ [EXPORT_WATERMARKS_STORAGE_KEY]: watermarks });
+}
@@ -2,34 +2,27 @@
 
 class PDFProcessor {
   constructor() {
-    this.pdfjsLib = null;
     this.isProcessing = false;
   }
 
-  async initializePDFJS() {
-    if (this.pdfjsLib) return this.pdfjsLib;
-
-    try {
-      // Load PDF.js from CDN
-      const script = document.createElement('script');
-      script.src = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js';
-      document.head.appendChild(script);
-
-      await new Promise((resolve, reject) => {
-        script.onload = resolve;
-        script.onerror = reject;
-      });
-
-      this.pdfjsLib = window.pdfjsLib;
-      if (this.pdfjsLib) {
-        this.pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
-      }
-
-      return this.pdfjsLib;
-    } catch (error) {
-      console.error('Failed to load PDF.js:', error);
-      throw new Error('Could not load PDF processing library');
+  /**
+   * Read the positioned text of every page of a PDF
+   * PDF.js ships with the extension and runs in its offscreen document (offscreen.html),
+   * so no third-party script is ever loaded into the banking page
+   * Pass maxPages to read only the first pages (and OCR no more than those)
+   */
+  async readPDFText(pdfData, maxPages = null) {
+    const response = await chrome.runtime.sendMessage({
+      action: 'extractPDFText',
+      data: arrayBufferToBase64(pdfData),
+      maxPages
+    });
+
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'PDF reader did not respond');
     }
+
+    return response.pages;
   }
 
   async downloadAndProcessPDF(pdfUrl, filename = 'rbc_statement.pdf') {
@@ -38,23 +31,23 @@ class PDFProcessor {
     }
 
     this.isProcessing = true;
-    let downloadedFile = null;
 
     try {
       // Download the PDF file
       console.log('Downloading PDF:', pdfUrl);
-      downloadedFile = await this.downloadPDFFile(pdfUrl, filename);
+      const pdfData = await this.downloadPDFFile(pdfUrl, filename);
 
-      if (!downloadedFile) {
+      if (!pdfData) {
         throw new Error('Failed to download PDF file');
       }
 
       // Process the PDF
-      const transactions = await this.extractTransactionsFromPDF(downloadedFile);
+      const { transactions, statement } = await this.extractStatementFromPDF(pdfData);
 
       return {
         success: true,
         transactions: transactions,
+        statement: statement,
         filename: filename
       };
 
@@ -63,56 +56,81 @@ class PDFProcessor {
       throw error;
     } finally {
       this.isProcessing = false;
-
-      // Clean up downloaded file
-      if (downloadedFile) {
-        try {
-          URL.revokeObjectURL(downloadedFile);
-        } catch (e) {
-          console.warn('Could not revoke PDF URL:', e);
-        }
-      }
     }
   }
 
   async downloadPDFFile(url, filename) {
     try {
+      // Fetched from the page so the bank's session cookies apply
       const response = await fetch(url);
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
 
-      const blob = await response.blob();
-      return URL.createObjectURL(blob);
+      return await response.arrayBuffer();
     } catch (error) {
       console.error('Error downloading PDF:', error);
       throw new Error(`Failed to download PDF: ${error.message}`);
     }
   }
 
-  async extractTransactionsFromPDF(pdfFileUrl) {
-    const pdfjsLib = await this.initializePDFJS();
-    if (!pdfjsLib) {
-      throw new Error('PDF.js not available');
-    }
+  async extractTransactionsFromPDF(pdfData) {
+    const { transactions } = await this.extractStatementFromPDF(pdfData);
+    return transactions;
+  }
+
+  /**
+   * Identify a statement without parsing its rows: { type, label, period, account }
+   * Everything needed is on page 1, so a scanned statement has only that page OCR'd
+   */
+  async readStatementDetails(pdfData) {
+    const pages = await this.readPDFText(pdfData, 1);
+    const firstPageText = pages[0] ? pages[0].items.map(item => item.str).join(' ') : '';
+    const parser = detectStatementParser(firstPageText);
+
+    return {
+      type: parser.type,
+      label: parser.label,
+      period: parseStatementPeriod(firstPageText),
+      account: parseStatementAccount(firstPageText)
+    };
+  }
 
+  /**
+   * Extract the transactions of a statement along with what was learned about it:
+   * { transactions, statement: { type, label, period, reconciliation, ocrPages } }
+   */
+  async extractStatementFromPDF(pdfData) {
     try {
       console.log('Loading PDF for text extraction...');
-      const pdf = await pdfjsLib.getDocument(pdfFileUrl).promise;
+      const pages = await this.readPDFText(pdfData);
       const transactions = [];
 
-      // Process each page of the PDF
-      for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
-        console.log(`Processing page ${pageNum}/${pdf.numPages}`);
-        const page = await pdf.getPage(pageNum);
-        const textContent = await page.getTextContent();
+      // The statement type is recognised from page 1 (see STATEMENT_PARSERS)
+      const context = this.createParseContext(pages[0]);
+      console.log(`Detected statement type: ${context.parser.label}`);
 
-        const pageTransactions = this.parsePDFPage(textContent, pageNum);
+      // Process each page of the PDF
+      for (const page of pages) {
+        console.log(`Processing page ${page.pageNumber}/${pages.length}${page.ocr ? ' (OCR)' : ''}`);
+        const pageTransactions = this.parsePDFPage(page, page.pageNumber, context);
         transactions.push(...pageTransactions);
       }
 
       console.log(`Extracted ${transactions.length} transactions from PDF`);
-      return transactions;
+      const reconciliation = reconcileStatement(context.summary, transactions, context.parser);
+      console.log('Statement reconciliation:', reconciliation);
+
+      return {
+        transactions: assignTransactionIds(transactions),
+        statement: {
+          type: context.parser.type,
+          label: context.parser.label,
+          period: context.period,
+          reconciliation,
+          ocrPages: pages.filter(page => page.ocr).length // Scanned pages read by OCR
+        }
+      };
 
     } catch (error) {
       console.error('Error extracting text from PDF:', error);
@@ -120,17 +138,70 @@ class PDFProcessor {
     }
   }
 
-  parsePDFPage(textContent, pageNumber) {
+  /**
+   * State shared by every page of one statement
+   * The statement period dates month-day rows; the column layout, the last printed date
+   * and the last row (for wrapped descriptions) carry over from one page to the next
+   */
+  createParseContext(firstPage) {
+    const firstPageText = firstPage ? firstPage.items.map(item => item.str).join(' ') : '';
+    return {
+      parser: detectStatementParser(firstPageText),
+      period: parseStatementPeriod(firstPageText),
+      summary: {},
+      layout: null,
+      lastDate: '',
+      lastTransaction: null,
+      lastLineY: null,
+      atPageTop: false
+    };
+  }
+
+  parsePDFPage(textContent, pageNumber, context = this.createParseContext(textContent)) {
     const transactions = [];
     const textItems = textContent.items;
 
     // Group text items into lines based on their Y position
     const lines = this.groupTextIntoLines(textItems);
+    const layouts = lines.map(line => this.detectColumnLayout(line, context.parser));
+    const headerIndex = layouts.findIndex(Boolean);
+
+    // Vertical positions only compare within a page; a row cut off by the page break carries on
+    // in the first line of this one (see attachContinuationLine)
+    context.lastLineY = null;
+    context.atPageTop = true;
+
+    for (const [index, line] of lines.entries()) {
+      if (layouts[index]) {
+        // Header row: remember where the columns are, for this page and the ones after it
+        context.layout = layouts[index];
+        continue;
+      }
+
+      // Opening/closing balances and totals, for reconciliation; they are never rows themselves,
+      // and nothing continues past them
+      if (readStatementSummaryLine(line.text, context)) {
+        context.lastTransaction = null;
+        context.atPageTop = false;
+        continue;
+      }
+
+      const transaction = context.layout ?
+        this.parseColumnLine(line, context) :
+        this.parseTransactionLine(line, context);
 
-    for (const line of lines) {
-      const transaction = this.parseTransactionLine(line);
       if (transaction) {
+        transaction.page = pageNumber;
         transactions.push(transaction);
+        context.lastTransaction = transaction;
+        context.lastLineY = line.y;
+        context.atPageTop = false;
+        continue;
+      }
+
+      // Text above this page's table header is letterhead, not the tail of the previous page's row
+      if (index > headerIndex) {
+        this.attachContinuationLine(line, context);
       }
     }
 
@@ -142,6 +213,8 @@ class PDFProcessor {
     const tolerance = 2; // Y position tolerance for grouping into lines
 
     for (const item of textItems) {
+      if (!item.str || !item.str.trim()) continue;
+
       const y = item.transform[5]; // Y coordinate of the text item
       let line = lines.find(l => Math.abs(l.y - y) <= tolerance);
 
@@ -150,51 +223,166 @@ class PDFProcessor {
         lines.push(line);
       }
 
-      line.items.push(item);
+      line.items.push({
+        str: item.str.trim(),
+        x: item.transform[4], // X coordinate of the text item's left edge
+        width: item.width || 0
+      });
     }
 
-    // Sort lines by Y position (top to bottom)
+    // Sort lines by Y position (top to bottom), and each line's items left to right
     lines.sort((a, b) => b.y - a.y);
 
-    return lines.map(line => ({
-      text: line.items.map(item => item.str).join(' '),
-      y: line.y
+    return lines.map(line => {
+      const items = line.items.sort((a, b) => a.x - b.x);
+      return {
+        text: items.map(item => item.str).join(' '),
+        y: line.y,
+        items
+      };
+    });
+  }
+
+  /**
+   * Recognise a statement table header row and work out its column boundaries
+   * Returns [{ key, left, right }] ordered left to right, or null when the line is not a header
+   */
+  detectColumnLayout(line, parser) {
+    const headers = [];
+
+    for (const item of line.items) {
+      const header = parser.columns.find(h => h.pattern.test(item.str));
+      if (header && !headers.some(h => h.key === header.key)) {
+        headers.push({ key: header.key, start: item.x, end: item.x + item.width });
+      }
+    }
+
+    const keys = headers.map(h => h.key);
+    if (!parser.requiredColumns.every(key => keys.includes(key)) || headers.length < 3) {
+      return null;
+    }
+
+    // Boundaries sit halfway between neighbouring headers
+    return headers.map((header, index) => ({
+      key: header.key,
+      left: index === 0 ? -Infinity : (headers[index - 1].end + header.start) / 2,
+      right: index === headers.length - 1 ? Infinity : (header.end + headers[index + 1].start) / 2
     }));
   }
 
-  parseTransactionLine(line) {
+  /**
+   * Split a line into cells using a detected column layout
+   * Amounts are right-aligned, so they are placed by their right edge; other text by its left edge
+   */
+  assignToColumns(line, layout) {
+    const cells = {};
+
+    for (const item of line.items) {
+      const position = isAmount(item.str) ? item.x + item.width : item.x;
+      const column = layout.find(c => position >= c.left && position < c.right);
+      if (!column) continue;
+
+      cells[column.key] = cells[column.key] ? `${cells[column.key]} ${item.str}` : item.str;
+    }
+
+    return cells;
+  }
+
+  /**
+   * Parse a table row once the statement's columns are known
+   * Withdrawals are made negative and deposits positive; the balance column is never read as an amount
+   */
+  parseColumnLine(line, context) {
+    const cells = this.assignToColumns(line, context.layout);
+    const dateKey = context.layout.some(c => c.key === 'transactionDate') ? 'transactionDate' : 'date';
+
+    // PDF.js sometimes returns the date and the start of the description as one text run
+    const datePattern = new RegExp(`^(\\d{1,2}\\/\\d{1,2}(?:\\/\\d{2,4})?|${MONTH_DAY_PATTERN})(?:\\s+(.+))?$`, 'i');
+    const dateMatch = cells[dateKey] && cells[dateKey].match(datePattern);
+    if (dateMatch && dateMatch[2]) {
+      cells[dateKey] = dateMatch[1];
+      cells.description = [dateMatch[2], cells.description].filter(Boolean).join(' ');
+    }
+
+    // Statements print the date once per day; later rows that day leave it blank
+    if (cells[dateKey]) {
+      context.lastDate = cells[dateKey];
+    }
+
+    const withdrawal = cells.withdrawals && isAmount(cells.withdrawals) ? cells.withdrawals : '';
+    const deposit = cells.deposits && isAmount(cells.deposits) ? cells.deposits : '';
+    const amount = cells.amount && isAmount(cells.amount) ? cells.amount : '';
+
+    // Opening/closing balance and wrapped description lines carry no amount
+    if (!(withdrawal || deposit || amount) || !context.lastDate) {
+      return null;
+    }
+
+    let sign = withdrawal ? -1 : 1;
+    if (amount && !withdrawal && !deposit) {
+      sign = context.parser.amountSign ? context.parser.amountSign(amount) : 0;
+    }
+
+    return buildStatementTransaction(context, {
+      date: context.lastDate,
+      postingDate: cells.postingDate,
+      description: cells.description,
+      amount: withdrawal || deposit || amount,
+      sign,
+      balance: cells.balance,
+      raw: { line: line.text, cells }
+    });
+  }
+
+  /**
+   * Attach a wrapped merchant name, FX detail or e-Transfer memo line to the row above it
+   * FX lines ("USD 45.00 @ 1.3621") become structured fx fields, anything else extends the description
+   */
+  attachContinuationLine(line, context) {
+    const maxGap = 15; // Largest vertical gap to a wrapped line when there are no columns to go by
+    const transaction = context.lastTransaction;
+    if (!transaction || PAGE_FURNITURE_PATTERN.test(line.text)) return false;
+
+    const fx = parseFXDetails(line.text);
+    const firstOnPage = context.atPageTop;
+    context.atPageTop = false;
+
+    if (context.layout) {
+      // Only text sitting entirely in the description column continues a row
+      const cells = this.assignToColumns(line, context.layout);
+      if (Object.keys(cells).some(key => key !== 'description')) return false;
+    } else {
+      // Without columns, only amount-free lines directly under the row count, or the first
+      // line of the next page when the row was the last one on its page
+      const directlyBelow = context.lastLineY === null ?
+        firstOnPage :
+        context.lastLineY - line.y <= maxGap;
+      const endsWithAmount = new RegExp(`${STATEMENT_AMOUNT_PATTERN}$`).test(line.text);
+      if (!directlyBelow || (endsWithAmount && !fx)) return false;
+    }
+
+    if (fx) {
+      transaction.fx = fx;
+    } else {
+      transaction.description = [transaction.description, line.text].filter(Boolean).join(' ');
+    }
+
+    transaction.raw.continuation = [...(transaction.raw.continuation || []), line.text];
+    context.lastLineY = line.y;
+    return true;
+  }
+
+  /**
+   * Parse a line without a known table layout, using the statement type's own patterns
+   */
+  parseTransactionLine(line, context = this.createParseContext(null)) {
     const text = line.text.trim();
     if (!text) return null;
 
-    // RBC PDF statement patterns - adjust based on actual PDF format
-    const patterns = [
-      // Date Amount Description pattern
-      /(\d{1,2}\/\d{1,2}\/\d{4})\s+([+-]?\$\d+\.\d{2})\s+(.+)/,
-      // Description Date Amount pattern
-      /(.+?)\s+(\d{1,2}\/\d{1,2}\/\d{4})\s+([+-]?\$\d+\.\d{2})/,
-      // More flexible patterns for different RBC statement formats
-      /(\d{1,2}\/\d{1,2}\/\d{4})\s+(.+?)\s+([+-]?\d+\.\d{2})/,
-      // Month name format patterns
-      /((Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec|January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2},?\s+\d{4})\s+([+-]?\$\d+\.\d{2})\s+(.+)/i,
-      /(.+?)\s+((Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec|January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2},?\s+\d{4})\s+([+-]?\$\d+\.\d{2})/i,
-      /((Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec|January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2},?\s+\d{4})\s+(.+?)\s+([+-]?\d+\.\d{2})/i,
-    ];
-
-    for (const pattern of patterns) {
-      const match = text.match(pattern);
-      if (match) {
-        const [, date, amount, description] = match;
-
-        return {
-          date: normalizeDate(date),
-          amount: normalizeAmount(amount),
-          description: description.trim(),
-          source: 'PDF',
-          page: line.y // Store page/line info for debugging
-        };
-      }
+    const transaction = context.parser.parseLine(text, context);
+    if (transaction) {
+      transaction.raw.line = text;
     }
-
-    return null;
+    return transaction;
   }
 }
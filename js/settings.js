@@ -0,0 +1,48 @@
+// Export settings for RBC CSV Exporter
+// Stored in chrome.storage.local so the popup and the on-page exporter share them
+
+const DEFAULT_EXPORT_SETTINGS = {
+  csvPreset: 'standard',
+  csvTemplates: [], // [{ id, name, columns: [{ key, label }], keepEmptyColumns }]
+  dateFormat: 'DD/MM/YYYY', // 'YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY' or 'custom'
+  customDateFormat: 'YYYY-MM-DD',
+  amountColumns: 'single', // 'single' signed Amount column or 'split' Withdrawal/Deposit columns
+  invertCreditCardSigns: false, // Standard/template CSV and Excel only (see exportAmounts)
+  ledgerAssetAccount: 'Assets:RBC:Chequing',
+  ledgerLiabilityAccount: 'Liabilities:RBC:CreditCard',
+  ledgerCounterAccount: 'Expenses:Uncategorized',
+  statementFilenameTemplate: 'RBC/{account}/{YYYY-MM}_statement.pdf', // See formatStatementFilename
+  combineWithEarlierResults: false // Merge each extraction into the collected results (see dedupeTransactions)
+};
+
+/**
+ * Load export settings, filling in defaults for anything not saved yet
+ */
+async function loadExportSettings() {
+  try {
+    const stored = await chrome.storage.local.get('exportSettings');
+    return { ...DEFAULT_EXPORT_SETTINGS, ...(stored.exportSettings || {}) };
+  } catch (error) {
+    console.error('Error loading export settings:', error);
+    return { ...DEFAULT_EXPORT_SETTINGS };
+  }
+}
+
+/**
+ * Save changed export settings and return the full merged settings
+ */
+async function saveExportSettings(changes) {
+  const settings = { ...(await loadExportSettings()), ...changes };
+  await chrome.storage.local.set({ exportSettings: settings });
+  return settings;
+}
+
+/**
+ * The date pattern (see formatDate) selected in the export settings
+ */
+function resolveDateFormat(settings) {
+  if (settings.dateFormat === 'custom') {
+    return settings.customDateFormat || 'YYYY-MM-DD';
+  }
+  return settings.dateFormat || 'DD/MM/YYYY';
+}
@@ -0,0 +1,461 @@
+// Statement-specific PDF parsers for RBC CSV Exporter
+
+const MONTH_NAMES = 'Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec|January|February|March|April|June|July|August|September|October|November|December';
+
+// "JAN 05", "Jan. 5" or "05 JAN", as printed on statements that leave out the year
+const MONTH_DAY_PATTERN = `(?:(?:${MONTH_NAMES})\\.?\\s?\\d{1,2}|\\d{1,2}\\s?(?:${MONTH_NAMES})\\.?)`;
+
+// Amount as printed on a statement line: "1,234.56", "$4.50", "-$500.00", "(12.00)" or "12.00-"
+const STATEMENT_AMOUNT_PATTERN = '\\(?-?\\$?[\\d,]+\\.\\d{2}\\)?-?';
+
+// Page numbers and carry-over notes that must never be read as a wrapped description
+const PAGE_FURNITURE_PATTERN = /^(?:page\s+\d+(?:\s+of\s+\d+)?|\d+\s+of\s+\d+|\(?continued.*)$/i;
+
+/**
+ * Table headers of chequing, savings, US-dollar and line of credit statements
+ * Order matters: the first matching pattern names the column
+ */
+const BANK_STATEMENT_COLUMNS = [
+  { key: 'date', pattern: /^date$/i },
+  { key: 'description', pattern: /description|activity|details/i },
+  { key: 'withdrawals', pattern: /withdrawal|cheques|debits|advances/i },
+  { key: 'deposits', pattern: /deposit|credits|payments/i },
+  { key: 'balance', pattern: /balance/i }
+];
+
+/**
+ * Table headers of RBC Visa and Mastercard statements
+ */
+const CARD_STATEMENT_COLUMNS = [
+  { key: 'transactionDate', pattern: /transaction\s*date/i },
+  { key: 'postingDate', pattern: /posting\s*date/i },
+  { key: 'description', pattern: /description|activity/i },
+  { key: 'amount', pattern: /amount/i }
+];
+
+/**
+ * Summary lines of chequing, savings, US-dollar and line of credit statements
+ */
+const BANK_STATEMENT_SUMMARY = {
+  opening: /opening balance|previous balance/i,
+  closing: /closing balance|new balance/i,
+  deposits: /total deposits|deposits (?:&|and) credits/i,
+  withdrawals: /total (?:withdrawals|cheques)|cheques (?:&|and) debits/i
+};
+
+/**
+ * Summary lines of card statements
+ * Their purchase totals leave out interest and fees, so only the balances are compared
+ */
+const CARD_STATEMENT_SUMMARY = {
+  opening: /previous (?:statement )?balance/i,
+  closing: /new balance/i
+};
+
+/**
+ * Read a full printed date ("December 15, 2024", "Dec. 15 2024") as YYYY-MM-DD
+ */
+function statementDateToISO(text) {
+  return toCanonicalDate(String(text || '').replace(/\./g, '').replace(/^sept\b/i, 'Sep'));
+}
+
+/**
+ * Read the statement period ("From December 15, 2024 to January 14, 2025") from page 1 text
+ * The start may leave out its year ("DEC 15 TO JAN 14, 2025"): it takes the end's year, or the
+ * year before when it would otherwise fall after the end
+ * Returns { start, end } as YYYY-MM-DD, or null when the statement doesn't print one
+ */
+function parseStatementPeriod(text) {
+  const monthDay = `(?:${MONTH_NAMES})\\.?\\s+\\d{1,2}`;
+  const fullDate = `${monthDay},?\\s+\\d{4}`;
+  const match = String(text || '').match(new RegExp(`(${monthDay}(?:,?\\s+\\d{4})?)\\s*(?:to|-|–)\\s*(${fullDate})`, 'i'));
+  if (!match) return null;
+
+  const end = statementDateToISO(match[2]);
+  if (!end) return null;
+
+  let start = statementDateToISO(match[1]);
+  if (!/\d{4}$/.test(match[1])) {
+    const endYear = Number(end.slice(0, 4));
+    start = statementDateToISO(`${match[1]}, ${endYear}`);
+    if (start && start.slice(5) > end.slice(5)) {
+      start = statementDateToISO(`${match[1]}, ${endYear - 1}`);
+    }
+  }
+
+  return start && end && start <= end ? { start, end } : null;
+}
+
+/**
+ * Give a month-day date ("JAN 05", "05 JAN") its year from the statement period
+ * A December–January statement spans two years, so the year that puts the date
+ * inside the period wins; otherwise the year that puts it closest to the period.
+ * Other dates are returned unchanged.
+ */
+function resolveStatementDate(dateText, period) {
+  const text = String(dateText || '').trim();
+  const match = text.match(new RegExp(`^(?:(${MONTH_NAMES})\\.?\\s?(\\d{1,2})|(\\d{1,2})\\s?(${MONTH_NAMES})\\.?)$`, 'i'));
+  if (!match || !period) return text;
+
+  const monthName = match[1] || match[4];
+  const day = (match[2] || match[3]).padStart(2, '0');
+  const month = statementDateToISO(`${monthName} 1, 2000`).slice(5, 7);
+
+  const years = [...new Set([period.start.slice(0, 4), period.end.slice(0, 4)])];
+  const candidates = years.map(year => `${year}-${month}-${day}`);
+  const inside = candidates.find(date => date >= period.start && date <= period.end);
+  if (inside) return inside;
+
+  const distance = date => Math.min(
+    Math.abs(Date.parse(date) - Date.parse(period.start)),
+    Math.abs(Date.parse(date) - Date.parse(period.end))
+  );
+  return candidates.sort((a, b) => distance(a) - distance(b))[0];
+}
+
+/**
+ * Build a PDF transaction from the pieces a statement parser found on one row
+ * sign is -1 or 1 when the column decides the direction, 0 to use the amount's own sign
+ */
+function buildStatementTransaction(context, fields) {
+  const { parser, period } = context;
+  const amountMoney = parseMoney(fields.amount, fields.sign || 0, parser.currency);
+  if (!amountMoney) return null;
+
+  // Month-day dates get their year before normalizeDate sees them
+  const date = resolveStatementDate(fields.date, period);
+  const balance = fields.balance && isAmount(fields.balance) ? fields.balance : '';
+  const transaction = {
+    date: normalizeDate(date),
+    isoDate: toCanonicalDate(date),
+    amount: centsToDecimal(amountMoney.cents),
+    amountMoney,
+    balance,
+    balanceMoney: balance ? parseMoney(balance, 0, parser.currency) : null,
+    description: (fields.description || '').trim(),
+    accountType: parser.accountType,
+    statementType: parser.type,
+    source: 'PDF',
+    raw: { date: fields.date, amount: fields.amount, ...fields.raw }
+  };
+
+  if (fields.postingDate) {
+    const postingDate = resolveStatementDate(fields.postingDate, period);
+    transaction.postingDate = normalizeDate(postingDate);
+    transaction.raw.postingDate = fields.postingDate;
+  }
+
+  // Card purchases can predate the period, so the posting date decides when there is one
+  const periodDate = toCanonicalDate(resolveStatementDate(fields.postingDate, period)) || transaction.isoDate;
+  if (period && periodDate && (periodDate < period.start || periodDate > period.end)) {
+    transaction.outOfPeriod = true;
+    console.warn('Transaction date falls outside the statement period:', transaction);
+  }
+
+  return transaction;
+}
+
+/**
+ * Read a chequing/savings style line when no table header was found
+ * A full date, an amount and a description in either order. Amounts may carry thousands
+ * separators and a space after the dollar sign; when the amount comes before the description
+ * it needs its dollar sign, so a number at the start of the description isn't taken for it
+ */
+function parseBankStatementLine(text, context) {
+  const number = '(?:\\d{1,3}(?:,\\d{3})+|\\d+)\\.\\d{2}';
+  const dollarAmount = `[+-]?\\$\\s?${number}`;
+  const amount = `[+-]?\\$?\\s?${number}`;
+  const numericDate = '\\d{1,2}\\/\\d{1,2}\\/\\d{4}';
+  const namedDate = `(?:${MONTH_NAMES})\\s+\\d{1,2},?\\s+\\d{4}`;
+
+  const patterns = [];
+  for (const date of [numericDate, namedDate]) {
+    patterns.push(
+      // Date Amount Description
+      { regex: new RegExp(`(${date})\\s+(${dollarAmount})\\s+(.+)`, 'i'), date: 1, amount: 2, description: 3 },
+      // Description Date Amount
+      { regex: new RegExp(`(.+?)\\s+(${date})\\s+(${dollarAmount})`, 'i'), date: 2, amount: 3, description: 1 },
+      // Date Description Amount
+      { regex: new RegExp(`(${date})\\s+(.+?)\\s+(${amount})(?![\\d,])`, 'i'), date: 1, amount: 3, description: 2 }
+    );
+  }
+
+  for (const pattern of patterns) {
+    const match = text.match(pattern.regex);
+    if (!match) continue;
+
+    // buildStatementTransaction reads the amount with parseMoney, and drops rows it can't read
+    const transaction = buildStatementTransaction(context, {
+      date: match[pattern.date],
+      amount: match[pattern.amount],
+      description: match[pattern.description]
+    });
+    if (transaction) return transaction;
+  }
+
+  return null;
+}
+
+/**
+ * Read a Visa/Mastercard line: "JAN 05 JAN 07 TIM HORTONS #1234 TORONTO ON 4.50"
+ * Charges are printed positive and payments/refunds negative, so the sign is flipped
+ * to match the rest of the extension (money out is negative)
+ */
+function parseCardStatementLine(text, context) {
+  const pattern = new RegExp(`^(${MONTH_DAY_PATTERN})\\s+(${MONTH_DAY_PATTERN})\\s+(.+?)\\s+(${STATEMENT_AMOUNT_PATTERN})$`, 'i');
+  const match = text.match(pattern);
+  if (!match) return null;
+
+  const [, transactionDate, postingDate, description, amount] = match;
+  return buildStatementTransaction(context, {
+    date: transactionDate,
+    postingDate,
+    description,
+    amount,
+    sign: cardAmountSign(amount)
+  });
+}
+
+/**
+ * Direction of a card statement amount: printed charges are money out
+ */
+function cardAmountSign(amountText) {
+  const money = parseMoney(amountText);
+  return money && money.cents < 0 ? 1 : -1;
+}
+
+/**
+ * Read foreign exchange details from a continuation line
+ * Handles "USD 45.00 @ 1.3621" and "Foreign Currency-USD 45.00 Exchange rate-1.3621"
+ * Returns { currency, amount, rate }, or null when the line holds none
+ */
+function parseFXDetails(text) {
+  const match = String(text || '').match(/\b([A-Z]{3})\s*\$?([\d,]+\.\d{2})\s*(?:@|exchange\s+rate\s*[-:]?)\s*(\d+(?:\.\d+)?)/i);
+  // Currency codes are printed in capitals; this keeps words like "fee 2.50 @ ..." out
+  if (!match || match[1] !== match[1].toUpperCase()) return null;
+
+  return {
+    currency: match[1],
+    amount: match[2].replace(/,/g, ''),
+    rate: match[3]
+  };
+}
+
+/**
+ * Record an opening/closing balance or totals line in context.summary (amounts in cents)
+ * The first opening balance and the last closing balance win, since pages can repeat them.
+ * Returns true when the line was a summary line
+ */
+function readStatementSummaryLine(text, context) {
+  const amounts = text.match(new RegExp(STATEMENT_AMOUNT_PATTERN, 'g'));
+  if (!amounts) return false;
+
+  for (const [key, pattern] of Object.entries(context.parser.summary)) {
+    if (!pattern.test(text)) continue;
+
+    const money = parseMoney(amounts[amounts.length - 1]);
+    if (money && (key === 'closing' || context.summary[key] === undefined)) {
+      context.summary[key] = money.cents;
+    }
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Check that the extracted rows account for the statement's balances:
+ * opening + deposits − withdrawals = closing, and any printed totals match the rows
+ * Card and credit line balances are amounts owed, so they move the other way (balanceDirection -1)
+ */
+function reconcileStatement(summary, transactions, parser) {
+  if (summary.opening === undefined || summary.closing === undefined) {
+    return { status: 'unavailable', checks: [] };
+  }
+
+  let deposits = 0;
+  let withdrawals = 0;
+  for (const transaction of transactions) {
+    const cents = amountCentsOf(transaction);
+    if (cents === null) continue;
+
+    if (cents >= 0) {
+      deposits += cents;
+    } else {
+      withdrawals -= cents;
+    }
+  }
+
+  const expectedClosing = summary.opening + (parser.balanceDirection || 1) * (deposits - withdrawals);
+  const checks = [{ label: 'Closing balance', statement: summary.closing, extracted: expectedClosing }];
+  if (summary.deposits !== undefined) {
+    checks.push({ label: 'Total deposits', statement: Math.abs(summary.deposits), extracted: deposits });
+  }
+  if (summary.withdrawals !== undefined) {
+    checks.push({ label: 'Total withdrawals', statement: Math.abs(summary.withdrawals), extracted: withdrawals });
+  }
+
+  return {
+    status: checks.every(check => check.statement === check.extracted) ? 'pass' : 'fail',
+    opening: summary.opening,
+    closing: summary.closing,
+    deposits,
+    withdrawals,
+    checks
+  };
+}
+
+/**
+ * Describe a reconciliation for display: { status, title, checks: [text] }
+ */
+function describeReconciliation(reconciliation) {
+  const titles = {
+    pass: '✅ Reconciled: opening + deposits − withdrawals = closing',
+    fail: '❌ Does not reconcile: rows may be missing or duplicated',
+    unavailable: 'ℹ️ Opening/closing balances not found; not reconciled'
+  };
+
+  return {
+    status: reconciliation.status,
+    title: titles[reconciliation.status],
+    checks: reconciliation.checks.map(check => {
+      const matches = check.statement === check.extracted;
+      return `${check.label}: statement ${formatCents(check.statement)}, extracted ${formatCents(check.extracted)} ${matches ? '✅' : '❌'}`;
+    })
+  };
+}
+
+/**
+ * Merge the results of several statements into one dataset
+ * Each row is tagged with the statement it came from (statementFile). Statements whose
+ * periods overlap print the same rows twice, so a row is dropped when an earlier statement
+ * already supplied as many copies of it (same date, amount and description); repeats
+ * within a single statement are kept.
+ * results: [{ name, transactions }] → { transactions, duplicates }
+ */
+function mergeStatements(results) {
+  const kept = {};
+  const transactions = [];
+  let duplicates = 0;
+
+  for (const result of results) {
+    const seenInStatement = {};
+
+    for (const transaction of result.transactions) {
+      const key = [canonicalDateOf(transaction), amountCentsOf(transaction), (transaction.description || '').toLowerCase()].join('|');
+      seenInStatement[key] = (seenInStatement[key] || 0) + 1;
+
+      if ((kept[key] || 0) >= seenInStatement[key]) {
+        duplicates++;
+        continue;
+      }
+
+      kept[key] = seenInStatement[key];
+      transactions.push({ ...transaction, statementFile: result.name });
+    }
+  }
+
+  return { transactions, duplicates };
+}
+
+/**
+ * Last four digits of the account or card number printed on page 1, or '' when none is found
+ * Chequing statements print "Your account number: 01234-5678901"; card statements mask all but
+ * the last four digits ("4510 12** **** 3456")
+ */
+function parseStatementAccount(text) {
+  const source = String(text || '');
+  const card = source.match(/\b\d{4}[\s-]?[\d*]{2}\*{2}[\s-]?\*{4}[\s-]?(\d{4})\b/);
+  if (card) return card[1];
+
+  const account = source.match(/account\s*(?:number|no\.?|#)?\s*:?\s*(\d[\d\s-]{4,}\d)/i);
+  return account ? account[1].replace(/\D/g, '').slice(-4) : '';
+}
+
+/**
+ * Build the archive path of a statement PDF from a template such as
+ * "RBC/{account}/{YYYY-MM}_statement.pdf"
+ * Tokens: {account}, {type}, {YYYY}, {MM}, {YYYY-MM}; the month is the one the period ends in.
+ * Characters download paths can't hold are replaced and ".." segments dropped.
+ */
+function formatStatementFilename(template, details) {
+  const month = details.period ? details.period.end.slice(0, 7) : '';
+  const tokens = {
+    account: details.account || details.type || 'account',
+    type: details.type || '',
+    'YYYY-MM': month,
+    YYYY: month.slice(0, 4),
+    MM: month.slice(5, 7)
+  };
+
+  const path = String(template || '').replace(/\{(account|type|YYYY-MM|YYYY|MM)\}/g, (match, token) => tokens[token]);
+  const segments = path.split(/[\\/]+/)
+    .map(segment => segment.replace(/[<>:"|?*\x00-\x1f]/g, '_').trim())
+    .filter(segment => segment && segment !== '.' && segment !== '..');
+
+  const filename = segments.join('/') || `${tokens['YYYY-MM'] || 'statement'}.pdf`;
+  return /\.pdf$/i.test(filename) ? filename : `${filename}.pdf`;
+}
+
+/**
+ * Registry of RBC statement types, checked in order against the text of page 1
+ * Each parser names the table headers and summary lines it uses, and how to read a line without them
+ */
+const STATEMENT_PARSERS = [
+  {
+    type: 'card',
+    label: 'RBC Visa / Mastercard',
+    accountType: 'credit',
+    currency: 'CAD',
+    // "Visa" alone also appears on chequing statements as "Visa Debit"
+    detect: text => /\b(visa|mastercard)\b/i.test(text) && /posting\s+date|credit\s+limit|minimum\s+payment/i.test(text),
+    columns: CARD_STATEMENT_COLUMNS,
+    requiredColumns: ['transactionDate', 'amount'],
+    summary: CARD_STATEMENT_SUMMARY,
+    balanceDirection: -1,
+    amountSign: cardAmountSign,
+    parseLine: parseCardStatementLine
+  },
+  {
+    type: 'usd',
+    label: 'US dollar account',
+    accountType: 'debit',
+    currency: 'USD',
+    detect: text => /U\.?\s?S\.?\s+dollar/i.test(text),
+    columns: BANK_STATEMENT_COLUMNS,
+    requiredColumns: ['date', 'withdrawals', 'deposits'],
+    summary: BANK_STATEMENT_SUMMARY,
+    parseLine: parseBankStatementLine
+  },
+  {
+    type: 'loc',
+    label: 'Line of credit',
+    accountType: 'debit',
+    currency: 'CAD',
+    detect: text => /line\s+of\s+credit|credit\s+line/i.test(text),
+    columns: BANK_STATEMENT_COLUMNS,
+    requiredColumns: ['date', 'withdrawals', 'deposits'],
+    summary: BANK_STATEMENT_SUMMARY,
+    balanceDirection: -1,
+    parseLine: parseBankStatementLine
+  },
+  {
+    type: 'chequing',
+    label: 'Chequing / savings',
+    accountType: 'debit',
+    currency: 'CAD',
+    // Default when nothing more specific matches
+    detect: () => true,
+    columns: BANK_STATEMENT_COLUMNS,
+    requiredColumns: ['date', 'withdrawals', 'deposits'],
+    summary: BANK_STATEMENT_SUMMARY,
+    parseLine: parseBankStatementLine
+  }
+];
+
+/**
+ * Pick the statement parser for a PDF from the text of its first page
+ */
+function detectStatementParser(firstPageText) {
+  return STATEMENT_PARSERS.find(parser => parser.detect(firstPageText || ''));
+}
@@ -1,10 +1,22 @@
 // Core transaction extraction orchestration for RBC CSV Exporter
 
+// chrome.storage.local keys holding runs that must survive a page load: a multi-account run,
+// and the progress of a Show More loading run
+const ACCOUNT_BATCH_STORAGE_KEY = 'accountBatchRun';
+const SHOW_MORE_STORAGE_KEY = 'showMoreRun';
+const RUN_RESUME_MAX_AGE = 60 * 60 * 1000; // Runs older than an hour are abandoned, not resumed
+
 class RBCTransactionExtractor {
   constructor() {
     this.transactions = [];
+    this.accountInfo = {};
+    this.extractedAt = null;
+    this.extractionMethod = '';
     this.isExtracting = false;
-    this.observer = null;
+    this.loadingState = 'idle'; // Show More loading: 'idle', 'running', 'paused' or 'cancelled'
+    this.pauseWaiters = []; // Resolved when a paused load is resumed or cancelled
+    this.pendingWatermark = null; // { accountKey, transactions } recorded once the extraction is downloaded
+    this.tableWatcher = new TransactionTableWatcher();
     this.pdfProcessor = new PDFProcessor();
     this.uiManager = new UIManager(this);
     this.init();
@@ -26,12 +38,17 @@ class RBCTransactionExtractor {
         return true; // Keep message channel open for async response
       } else if (request.action === 'detectPDFs') {
         sendResponse({ pdfs: this.detectAvailablePDFs() });
+      } else if (request.action === 'archiveStatement') {
+        this.archiveStatement(request.pdfUrl, request.range, request.template).then(sendResponse);
+        return true; // Keep message channel open for async response
       }
     });
 
     // Add extraction button to RBC pages
     if (this.isRBCPage()) {
+      this.tableWatcher.start();
       this.uiManager.addExtractionButton();
+      this.resumeInterruptedRun();
     }
   }
 
@@ -42,9 +59,14 @@ class RBCTransactionExtractor {
            hostname.includes('rbc.com');
   }
 
-  async handlePopupExtract() {
+  /**
+   * options.newOnly keeps only transactions newer than this account's last export, and stops
+   * clicking Show More once the loaded history reaches that export (see exportWatermarks.js);
+   * options.resumeRun is the saved progress of a loading run a page reload interrupted (see resumeShowMoreRun)
+   */
+  async handlePopupExtract(options = {}) {
     const extractBtn = document.getElementById('rbc-popup-extract-btn');
-    const downloadBtn = document.getElementById('rbc-popup-download-btn');
+    const downloadRow = document.getElementById('rbc-popup-download-row');
     
     if (extractBtn) {
       extractBtn.disabled = true;
@@ -57,17 +79,49 @@ class RBCTransactionExtractor {
     this.uiManager.addSpinnerToStatus();
     
     try {
-      const result = await this.extractTransactionsWithProgress();
+      const accountKey = this.getAccountKey();
+      const watermark = options.newOnly ? await loadExportWatermark(accountKey) : null;
+      if (options.newOnly && !watermark) {
+        this.uiManager.updatePopupStatus('loading', 'No earlier export of this account - loading everything...');
+      }
+
+      const result = await this.extractTransactionsWithProgress({
+        // A partial load is the point of newOnly, so there is nothing worth resuming
+        resumable: !options.newOnly,
+        resumeRun: options.resumeRun,
+        stopWhen: watermark ? () => this.hasReachedWatermark(watermark) : null
+      });
       
       // Remove spinner and hide progress bar
       this.uiManager.removeSpinnerFromStatus();
       this.uiManager.hideProgressBar();
 
-      if (result.success && result.transactions.length > 0) {
-        this.uiManager.updatePopupStatus('success', `Found ${result.count} transactions!`);
+      // The watermark covers everything loaded, including rows exported before; a cancelled or
+      // stalled load leaves a gap below it, so it only moves after a complete one
+      this.pendingWatermark = result.success && isCompleteLoad(result, options.newOnly) ?
+        { accountKey, transactions: result.transactions } :
+        null;
 
-        if (downloadBtn) {
-          downloadBtn.style.display = 'flex';
+      if (result.success && watermark) {
+        this.transactions = filterNewTransactions(result.transactions, watermark);
+        result.transactions = this.transactions;
+        result.count = this.transactions.length;
+      }
+
+      if (result.success && watermark && result.count === 0) {
+        this.uiManager.updatePopupStatus('ready', `No new transactions since the last export (${watermark.date})`);
+        if (extractBtn) {
+          extractBtn.innerHTML = '<span>✅ Up to Date</span>';
+        }
+      } else if (result.success && result.transactions.length > 0) {
+        this.uiManager.updatePopupStatus('success', result.cancelled ?
+          `Loading cancelled - found ${result.count} transactions` :
+          watermark ?
+            `Found ${result.count} new transactions since ${watermark.date}` :
+            `Found ${result.count} transactions!`);
+
+        if (downloadRow) {
+          downloadRow.style.display = 'flex';
         }
 
         if (extractBtn) {
@@ -98,13 +152,323 @@ class RBCTransactionExtractor {
     }, 3000);
   }
 
-  async extractTransactionsWithProgress() {
+  /**
+   * Extract every account listed on the accounts summary into one dataset
+   * Each account's transaction view is opened in turn and goes through the same Show More loop
+   * and row parser as a single-account extraction; rows are tagged with their account.
+   */
+  async handleAccountBatchExtract() {
+    if (this.isExtracting) return;
+
+    const accounts = this.findAccountLinks();
+    if (accounts.length === 0) {
+      this.uiManager.updatePopupStatus('error', 'No accounts found - open the accounts summary page first');
+      return;
+    }
+
+    console.log(`Found ${accounts.length} accounts on the summary page`);
+    const run = {
+      summaryUrl: window.location.href,
+      startedAt: Date.now(),
+      accounts: accounts.map(account => ({ ...account, status: 'pending', count: 0, attempts: 0 })),
+      transactions: []
+    };
+
+    await this.saveAccountBatch(run);
+    await this.runAccountBatch(run);
+  }
+
+  /**
+   * Key an account's export watermark by its number, or failing that its name or page
+   */
+  getAccountKey() {
+    const accountInfo = this.extractAccountInfo();
+    return accountInfo.accountNumber.replace(/\D/g, '') ||
+      accountInfo.accountName ||
+      `${window.location.pathname}${window.location.hash}`;
+  }
+
+  /**
+   * True once the oldest loaded row is dated before the watermark, so every row on the
+   * watermark's date (and everything newer) is on the page
+   */
+  hasReachedWatermark(watermark) {
+    const rows = this.findTransactionRows();
+    if (rows.length === 0) return false;
+
+    try {
+      // RBC lists transactions newest first
+      const oldest = parseRBCTransactionRow(rows[rows.length - 1]);
+      const date = oldest ? canonicalDateOf(oldest) : '';
+      return Boolean(date) && date < watermark.date;
+    } catch (error) {
+      console.error('Error reading the oldest loaded transaction:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Move this account's export watermark up to the extraction just downloaded
+   */
+  async recordExport() {
+    if (!this.pendingWatermark) return;
+
+    try {
+      await saveExportWatermark(this.pendingWatermark.accountKey, this.pendingWatermark.transactions);
+    } catch (error) {
+      console.error('Error saving export watermark:', error);
+    }
+  }
+
+  /**
+   * Pick up a multi-account run or a Show More loading run that a page load interrupted
+   */
+  async resumeInterruptedRun() {
+    if (await this.resumeAccountBatch()) return;
+    await this.resumeShowMoreRun();
+  }
+
+  /**
+   * Continue a multi-account run after the page was replaced by the next account's view
+   * Resolves true when a run was resumed
+   */
+  async resumeAccountBatch() {
+    try {
+      const stored = await chrome.storage.local.get(ACCOUNT_BATCH_STORAGE_KEY);
+      const run = stored[ACCOUNT_BATCH_STORAGE_KEY];
+      if (!run) return false;
+
+      if (Date.now() - run.startedAt > RUN_RESUME_MAX_AGE) {
+        console.log('Discarding an abandoned multi-account run');
+        await chrome.storage.local.remove(ACCOUNT_BATCH_STORAGE_KEY);
+        return false;
+      }
+
+      await this.reopenInlinePopup();
+      console.log('Resuming multi-account run');
+      await this.runAccountBatch(run);
+      return true;
+    } catch (error) {
+      console.error('Error resuming multi-account run:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Continue loading after the tab reloaded in the middle of a Show More run
+   * The bank's page starts again from its first rows, so Show More is clicked until the list
+   * is complete again; the rows saved before the reload are kept in case loading stops short.
+   */
+  async resumeShowMoreRun() {
+    try {
+      const stored = await chrome.storage.local.get(SHOW_MORE_STORAGE_KEY);
+      const run = stored[SHOW_MORE_STORAGE_KEY];
+      if (!run) return;
+
+      // Progress only applies to the transaction list it was saved from
+      if (run.url !== window.location.href || Date.now() - run.updatedAt > RUN_RESUME_MAX_AGE) {
+        await chrome.storage.local.remove(SHOW_MORE_STORAGE_KEY);
+        return;
+      }
+
+      await this.reopenInlinePopup();
+      console.log(`Resuming Show More loading with ${run.transactions.length} transactions saved before the reload`);
+      this.uiManager.updatePopupStatus('loading', `Resuming - ${run.transactions.length} transactions were loaded before the reload`);
+      await this.handlePopupExtract({ resumeRun: run });
+    } catch (error) {
+      console.error('Error resuming Show More loading:', error);
+    }
+  }
+
+  async reopenInlinePopup() {
+    // The floating button (and the popup anchored to it) is added after a short delay
+    await sleep(2500);
+    if (!document.getElementById('rbc-csv-extractor-popup')) {
+      this.uiManager.showInlinePopup();
+    }
+  }
+
+  async runAccountBatch(run) {
+    const extractBtn = document.getElementById('rbc-popup-extract-btn');
+    const extractAllBtn = document.getElementById('rbc-popup-extract-all-btn');
+    [extractBtn, extractAllBtn].forEach(button => { if (button) button.disabled = true; });
+    this.uiManager.addSpinnerToStatus();
+
+    try {
+      for (const [index, account] of run.accounts.entries()) {
+        if (account.status === 'done' || account.status === 'error') continue;
+
+        // A view that reloads the page on every attempt would otherwise loop forever
+        if (account.attempts >= 2) {
+          Object.assign(account, { status: 'error', error: 'Account page did not load' });
+          await this.saveAccountBatch(run);
+          continue;
+        }
+
+        account.status = 'loading';
+        account.attempts++;
+        await this.saveAccountBatch(run);
+        this.uiManager.showAccountProgress(run.accounts);
+        this.uiManager.updatePopupStatus('loading', `Account ${index + 1} of ${run.accounts.length}: ${account.label}`);
+
+        try {
+          // Opening the account may replace this page; the new page's content script picks the run up
+          const hasRows = await this.openAccount(account);
+          const result = hasRows ? await this.extractTransactionsWithProgress() : { success: true, transactions: [] };
+          if (!result.success) {
+            throw new Error(result.error);
+          }
+
+          // Ids are numbered again across every account once the run finishes (see finishAccountBatch)
+          run.transactions.push(...result.transactions.map(({ id, ...transaction }) => ({ ...transaction, account: account.label })));
+          Object.assign(account, { status: 'done', count: result.transactions.length });
+        } catch (error) {
+          console.error(`Error extracting ${account.label}:`, error);
+          Object.assign(account, { status: 'error', error: error.message });
+        }
+
+        await this.saveAccountBatch(run);
+        this.uiManager.showAccountProgress(run.accounts);
+      }
+
+      await chrome.storage.local.remove(ACCOUNT_BATCH_STORAGE_KEY);
+      this.finishAccountBatch(run);
+    } finally {
+      this.uiManager.removeSpinnerFromStatus();
+      this.uiManager.hideProgressBar();
+      [extractBtn, extractAllBtn].forEach(button => { if (button) button.disabled = false; });
+    }
+  }
+
+  finishAccountBatch(run) {
+    const failed = run.accounts.filter(account => account.status === 'error').length;
+    this.transactions = assignTransactionIds(run.transactions);
+    this.pendingWatermark = null;
+    this.accountInfo = {
+      accountName: `${run.accounts.length - failed} accounts`,
+      accountNumber: '',
+      dateRange: '',
+      balance: ''
+    };
+    this.extractedAt = new Date().toISOString();
+    this.extractionMethod = 'multi-account';
+
+    this.uiManager.showAccountProgress(run.accounts);
+    this.uiManager.updatePopupStatus(
+      this.transactions.length > 0 ? 'success' : 'error',
+      `Found ${this.transactions.length} transactions in ${run.accounts.length - failed} accounts` +
+        (failed > 0 ? ` (${failed} failed)` : '')
+    );
+
+    const downloadRow = document.getElementById('rbc-popup-download-row');
+    if (downloadRow && this.transactions.length > 0) {
+      downloadRow.style.display = 'flex';
+    }
+  }
+
+  async saveAccountBatch(run) {
+    await chrome.storage.local.set({ [ACCOUNT_BATCH_STORAGE_KEY]: run });
+  }
+
+  /**
+   * Links to each account's transaction view on the accounts summary
+   * An account row shows a name and a (usually masked) account or card number
+   */
+  findAccountLinks() {
+    const accountNumberPattern = /(?:[*•x]{2,}\s?\d{3,4}|\b\d{5}-\d{7}\b|\b\d{4}\s\d{2}[*•]{2}\s[*•]{4}\s\d{4}\b)/i;
+    const accounts = [];
+
+    for (const link of document.querySelectorAll('a[href]')) {
+      const href = link.href;
+      if (!href || href === window.location.href || /\.pdf|statement|download|logout|sign-?out/i.test(href)) continue;
+      if (!/^https?:/i.test(href) || !/(rbcroyalbank|royalbank|rbc)\.com$/i.test(link.hostname)) continue;
+
+      // The number is sometimes printed beside the link rather than inside it
+      const row = link.closest('tr, li, [class*="account"]') || link;
+      const number = (link.textContent.match(accountNumberPattern) || row.textContent.match(accountNumberPattern) || [])[0];
+      if (!number) continue;
+
+      const name = link.textContent.replace(accountNumberPattern, '').replace(/\s+/g, ' ').trim();
+      if (!name || accounts.some(account => account.url === href)) continue;
+
+      accounts.push({ url: href, label: `${name} ${number.replace(/\s+/g, ' ')}`.trim() });
+    }
+
+    return accounts;
+  }
+
+  /**
+   * Whether this page is the one an account link leads to
+   * RBC redirects can add query parameters or a fragment, so the path and the link's own
+   * query parameters (which identify the account) are compared rather than the full address.
+   * RBC's account views share one path and are routed by the fragment, so when the link has a
+   * fragment route the current one must match it too
+   */
+  isAccountPage(account) {
+    const target = new URL(account.url, window.location.href);
+    const current = new URL(window.location.href);
+    if (target.hostname !== current.hostname || target.pathname !== current.pathname) return false;
+
+    const hasParams = (wanted, actual) =>
+      Array.from(wanted).every(([key, value]) => actual.getAll(key).includes(value));
+    if (!hasParams(target.searchParams, current.searchParams)) return false;
+
+    const targetRoute = this.hashRouteOf(target.hash);
+    if (!targetRoute.path && Array.from(targetRoute.params).length === 0) return true;
+
+    const currentRoute = this.hashRouteOf(current.hash);
+    return targetRoute.path === currentRoute.path && hasParams(targetRoute.params, currentRoute.params);
+  }
+
+  /**
+   * Split a fragment route ("#/accounts/details?id=1", "#!/accounts/details/") into a path
+   * without leading "#", "!" or slashes or a trailing slash, and its query parameters
+   */
+  hashRouteOf(hash) {
+    const [path, query = ''] = (hash || '').replace(/^#!?/, '').split('?');
+    return {
+      path: path.replace(/^\/+|\/+$/g, ''),
+      params: new URLSearchParams(query)
+    };
+  }
+
+  /**
+   * Open an account's transaction view and wait for its first rows
+   * Resolves false when the view shows no transactions within 20 seconds
+   */
+  async openAccount(account) {
+    const navigating = !this.isAccountPage(account);
+    const previousRow = navigating ? document.querySelector(TRANSACTION_ROW_SELECTOR) : null;
+
+    if (navigating) {
+      window.location.assign(account.url);
+    }
+
+    // Single-page navigation keeps this script alive; wait for the previous account's rows to go
+    for (let waited = 0; waited < 20000; waited += 500) {
+      await sleep(500);
+      const firstRow = document.querySelector(TRANSACTION_ROW_SELECTOR);
+      if (firstRow && (!previousRow || !previousRow.isConnected)) {
+        await sleep(1000); // Let the first page of rows finish rendering
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * options.resumable saves loading progress so a reload can resume it (see resumeShowMoreRun);
+   * options.resumeRun is the progress saved before such a reload; options.stopWhen() ends
+   * Show More loading early when it returns true
+   */
+  async extractTransactionsWithProgress(options = {}) {
     this.isExtracting = true;
     this.transactions = [];
 
     try {
       // Keep clicking "Show More" buttons with progress updates
-      await this.clickAllShowMoreButtonsWithProgress();
+      const loading = await this.clickAllShowMoreButtonsWithProgress(options);
 
       // Wait a bit for final content to load
       await sleep(1000);
@@ -133,6 +497,7 @@ class RBCTransactionExtractor {
         rbcTransactionRows = bestTable.querySelectorAll('tr[data-role="transaction-list-table-transaction"]');
         console.log(`🎯 SUCCESS: Found ${rbcTransactionRows.length} RBC transaction rows from best table`);
         this.extractFromRBCTransactionRows(rbcTransactionRows);
+        this.extractionMethod = 'rbc-transaction-rows';
       } else {
         // Fallback: try to find transactions without the table constraint
         rbcTransactionRows = document.querySelectorAll('tr[data-role="transaction-list-table-transaction"]');
@@ -140,9 +505,11 @@ class RBCTransactionExtractor {
         if (rbcTransactionRows.length > 0) {
           console.log(`Found ${rbcTransactionRows.length} RBC transaction rows globally as fallback`);
           this.extractFromRBCTransactionRows(rbcTransactionRows);
+          this.extractionMethod = 'rbc-transaction-rows';
         } else {
           console.log('No transaction rows found, trying fallback extraction');
           await this.fallbackExtraction();
+          this.extractionMethod = 'fallback';
         }
       }
 
@@ -154,14 +521,29 @@ class RBCTransactionExtractor {
       console.log('Elements with dollar signs:', document.querySelectorAll('*').length > 0 ? 
         Array.from(document.querySelectorAll('*')).filter(el => el.textContent.includes('$')).length : 0);
 
+      // Rows load in order, so the rows saved before a reload and the rows on the page now are
+      // both the start of the same list; keep whichever got further
+      const savedTransactions = options.resumeRun ? options.resumeRun.transactions : [];
+      if (savedTransactions.length > this.transactions.length) {
+        console.log(`Using ${savedTransactions.length} transactions saved before the reload`);
+        this.transactions = savedTransactions;
+      }
+      this.transactions = assignTransactionIds(this.transactions);
+
       // Try to get account information and date range
       const accountInfo = this.extractAccountInfo();
+      this.accountInfo = accountInfo;
+      this.extractedAt = new Date().toISOString();
 
       return {
         success: true,
         count: this.transactions.length,
         transactions: this.transactions,
-        accountInfo: accountInfo
+        accountInfo: accountInfo,
+        extractedAt: this.extractedAt,
+        extractionMethod: this.extractionMethod,
+        cancelled: loading.cancelled,
+        reachedEnd: loading.reachedEnd
       };
 
     } catch (error) {
@@ -174,37 +556,150 @@ class RBCTransactionExtractor {
       };
     } finally {
       this.isExtracting = false;
+      if (options.resumable) {
+        chrome.storage.local.remove(SHOW_MORE_STORAGE_KEY).catch(error => {
+          console.error('Error clearing saved loading progress:', error);
+        });
+      }
+    }
+  }
+
+  pauseLoading() {
+    if (this.loadingState !== 'running') return;
+    this.loadingState = 'paused';
+    this.uiManager.setLoadingPaused(true);
+    this.uiManager.updatePopupStatus('loading', `Paused - ${this.getCurrentTransactionCount()} transactions loaded`);
+  }
+
+  resumeLoading() {
+    if (this.loadingState !== 'paused') return;
+    this.loadingState = 'running';
+    this.releasePauseWaiters();
+    this.uiManager.setLoadingPaused(false);
+    this.uiManager.updatePopupStatus('loading', 'Loading all transactions...');
+  }
+
+  /**
+   * Stop clicking Show More; the rows already loaded are still extracted
+   */
+  cancelLoading() {
+    if (this.loadingState !== 'running' && this.loadingState !== 'paused') return;
+    this.loadingState = 'cancelled';
+    this.pendingWatermark = null; // A cancelled load never moves the watermark (see isCompleteLoad)
+    this.releasePauseWaiters();
+    this.tableWatcher.interruptWaits();
+    this.uiManager.updatePopupStatus('loading', 'Cancelling - keeping the transactions loaded so far...');
+  }
+
+  /**
+   * Resolves once loading is not paused: true to carry on, false when it was cancelled
+   */
+  async waitWhilePaused() {
+    if (this.loadingState === 'paused') {
+      await new Promise(resolve => this.pauseWaiters.push(resolve));
+    }
+    return this.loadingState !== 'cancelled';
+  }
+
+  releasePauseWaiters() {
+    const waiters = this.pauseWaiters;
+    this.pauseWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  /**
+   * Save loading progress, parsing only the rows added since the last save
+   * The saved rows are used if the page reloads and loading cannot get back as far
+   */
+  async saveShowMoreProgress(progress, totalExpected) {
+    const rows = Array.from(this.findTransactionRows());
+
+    for (const row of rows.slice(progress.rowCount)) {
+      try {
+        const transaction = parseRBCTransactionRow(row);
+        if (transaction && isValidTransaction(transaction)) {
+          progress.transactions.push(transaction);
+        }
+      } catch (error) {
+        console.error('Error parsing RBC transaction row:', error);
+      }
     }
+    progress.rowCount = rows.length;
+
+    const previous = progress.resumeRun ? progress.resumeRun.transactions : [];
+    await chrome.storage.local.set({
+      [SHOW_MORE_STORAGE_KEY]: {
+        url: window.location.href,
+        updatedAt: Date.now(),
+        totalExpected,
+        transactions: progress.transactions.length >= previous.length ? progress.transactions : previous
+      }
+    });
+  }
+
+  /**
+   * Transaction rows of the table holding the most of them (RBC renders duplicate tables)
+   */
+  findTransactionRows() {
+    return (this.tableWatcher.findTable() || document).querySelectorAll(TRANSACTION_ROW_SELECTOR);
   }
 
-  async clickAllShowMoreButtonsWithProgress() {
+  /**
+   * Click Show More until every transaction is loaded, the user cancels, or loading stalls
+   * Resolves to { cancelled, reachedEnd }; reachedEnd is true when the list ran out or
+   * options.stopWhen was met, rather than loading stalling or being cancelled
+   */
+  async clickAllShowMoreButtonsWithProgress(options = {}) {
     console.log('Looking for "Show More" buttons...');
     let clickCount = 0;
     let maxAttempts = 100; // Safety limit to prevent infinite loops
     let totalExpected = 0;
     let loadTimes = []; // Track how long each load actually takes
+    let reachedEnd = false;
+
+    const progress = { rowCount: 0, transactions: [], resumeRun: options.resumeRun || null };
 
     // Check for RBC's total count first
-    totalExpected = this.getRBCResultCount();
+    totalExpected = this.getRBCResultCount() || (options.resumeRun ? options.resumeRun.totalExpected : 0);
     if (totalExpected > 0) {
       console.log(`RBC reports ${totalExpected} total transactions`);
       this.uiManager.showTotalCount(totalExpected);
       this.uiManager.showProgressBar(0, totalExpected);
     }
 
+    this.loadingState = 'running';
+    this.uiManager.showLoadingControls(true);
+
     while (clickCount < maxAttempts) {
+      // Pause holds the loop here; cancel ends it with whatever has loaded
+      if (!(await this.waitWhilePaused())) {
+        console.log(`Loading cancelled after ${clickCount} click(s)`);
+        break;
+      }
+
+      if (options.stopWhen && options.stopWhen()) {
+        console.log(`Loaded history reaches the last export after ${clickCount} click(s) - stopping`);
+        reachedEnd = true;
+        break;
+      }
+
       // Look for "Show More" button
       const showMoreButton = this.findShowMoreButton();
 
       if (!showMoreButton) {
         console.log(`No more "Show More" buttons found. Clicked ${clickCount} time(s).`);
         this.uiManager.updatePopupStatus('loading', 'Processing transactions...');
+        reachedEnd = true;
         break;
       }
 
       try {
-        // Update status to show loading
-        this.uiManager.updatePopupStatus('loading', `Loading all transactions... (${clickCount + 1})`);
+        // Update status to show loading; after a reload the first clicks only reload rows already saved
+        const savedCount = options.resumeRun ? options.resumeRun.transactions.length : 0;
+        const loadedCount = this.getCurrentTransactionCount();
+        this.uiManager.updatePopupStatus('loading', loadedCount < savedCount ?
+          `Catching up after the reload... (${loadedCount} of ${savedCount})` :
+          `Loading all transactions... (${clickCount + 1})`);
 
         console.log(`Clicking "Show More" button (${clickCount + 1})...`);
 
@@ -216,38 +711,30 @@ class RBCTransactionExtractor {
         showMoreButton.click();
         clickCount++;
 
-        // Wait longer for credit cards (up to 15 seconds)
+        // Wait longer for credit cards (up to 15 seconds); the table watcher reports rows as they arrive
         const maxWaitTime = 15000; // 15 seconds
-        let waitTime = 0;
-        let afterCount = beforeCount;
-
-        // Check every 500ms if new data loaded
-        while (waitTime < maxWaitTime) {
-          await sleep(500);
-          waitTime += 500;
-
-          afterCount = this.getCurrentTransactionCount();
-
-          if (afterCount > beforeCount) {
-            // New data loaded!
-            const actualLoadTime = Date.now() - startTime;
-            loadTimes.push(actualLoadTime);
-            console.log(`✅ New data loaded after ${actualLoadTime}ms (${waitTime}ms total wait)`);
-
-            // Calculate average load time for estimation
-            if (loadTimes.length > 0) {
-              const avgLoadTime = loadTimes.reduce((a, b) => a + b, 0) / loadTimes.length;
-              const remainingClicks = Math.max(0, Math.ceil((totalExpected - afterCount) / (afterCount - beforeCount)));
-              const estimatedTimeLeft = remainingClicks * avgLoadTime;
-              console.log(`📊 Avg load time: ${Math.round(avgLoadTime)}ms, Est. time left: ${Math.round(estimatedTimeLeft/1000)}s`);
-            }
-            break;
-          }
-        }
+        const { count: afterCount, reason } = await this.tableWatcher.waitForRows(beforeCount, {
+          timeout: maxWaitTime,
+          showMoreButton
+        });
 
-        // If we timed out without new data, stop
-        if (afterCount === beforeCount) {
-          console.log(`❌ No new data after ${maxWaitTime}ms - stopping`);
+        if (afterCount > beforeCount) {
+          // New data loaded!
+          const actualLoadTime = Date.now() - startTime;
+          loadTimes.push(actualLoadTime);
+          console.log(`✅ New data loaded after ${actualLoadTime}ms`);
+
+          // Calculate average load time for estimation
+          const avgLoadTime = loadTimes.reduce((a, b) => a + b, 0) / loadTimes.length;
+          const remainingClicks = Math.max(0, Math.ceil((totalExpected - afterCount) / (afterCount - beforeCount)));
+          const estimatedTimeLeft = remainingClicks * avgLoadTime;
+          console.log(`📊 Avg load time: ${Math.round(avgLoadTime)}ms, Est. time left: ${Math.round(estimatedTimeLeft/1000)}s`);
+        } else {
+          // The list is complete, nothing arrived in time, or loading was cancelled meanwhile
+          console.log(reason === 'ended' ?
+            'Show More went away without adding rows - all transactions loaded' :
+            `❌ No new data (${reason}) - stopping`);
+          reachedEnd = reason === 'ended';
           break;
         }
 
@@ -265,6 +752,10 @@ class RBCTransactionExtractor {
 
         console.log(`Loaded ${afterCount - beforeCount} more transactions (total: ${afterCount})`);
 
+        if (options.resumable) {
+          await this.saveShowMoreProgress(progress, totalExpected);
+        }
+
       } catch (error) {
         console.error('Error clicking Show More button:', error);
         break;
@@ -275,7 +766,12 @@ class RBCTransactionExtractor {
       console.log(`Reached maximum attempts (${maxAttempts}), stopping...`);
     }
 
+    const cancelled = this.loadingState === 'cancelled';
+    this.loadingState = 'idle';
+    this.uiManager.showLoadingControls(false);
+
     console.log(`Finished loading all transactions. Total clicks: ${clickCount}, Average load time: ${loadTimes.length > 0 ? Math.round(loadTimes.reduce((a, b) => a + b, 0) / loadTimes.length) : 'N/A'}ms`);
+    return { cancelled, reachedEnd: reachedEnd && !cancelled };
   }
 
   async extractTransactions() {
@@ -330,6 +826,7 @@ class RBCTransactionExtractor {
         rbcTransactionRows = bestTable.querySelectorAll('tr[data-role="transaction-list-table-transaction"]');
         console.log(`🎯 SUCCESS: Found ${rbcTransactionRows.length} RBC transaction rows from best table`);
         this.extractFromRBCTransactionRows(rbcTransactionRows);
+        this.extractionMethod = 'rbc-transaction-rows';
       } else {
         // Fallback: try to find transactions without the table constraint
         rbcTransactionRows = document.querySelectorAll('tr[data-role="transaction-list-table-transaction"]');
@@ -337,9 +834,11 @@ class RBCTransactionExtractor {
         if (rbcTransactionRows.length > 0) {
           console.log(`Found ${rbcTransactionRows.length} RBC transaction rows globally as fallback`);
           this.extractFromRBCTransactionRows(rbcTransactionRows);
+          this.extractionMethod = 'rbc-transaction-rows';
         } else {
           console.log('No transaction rows found, trying fallback extraction');
           await this.fallbackExtraction();
+          this.extractionMethod = 'fallback';
         }
       }
 
@@ -351,14 +850,20 @@ class RBCTransactionExtractor {
       console.log('Elements with dollar signs:', document.querySelectorAll('*').length > 0 ? 
         Array.from(document.querySelectorAll('*')).filter(el => el.textContent.includes('$')).length : 0);
 
+      this.transactions = assignTransactionIds(this.transactions);
+
       // Try to get account information and date range
       const accountInfo = this.extractAccountInfo();
+      this.accountInfo = accountInfo;
+      this.extractedAt = new Date().toISOString();
 
       return {
         success: true,
         count: this.transactions.length,
         transactions: this.transactions,
-        accountInfo: accountInfo
+        accountInfo: accountInfo,
+        extractedAt: this.extractedAt,
+        extractionMethod: this.extractionMethod
       };
 
     } catch (error) {
@@ -399,10 +904,7 @@ class RBCTransactionExtractor {
         clickCount++;
         
         // Wait for new transactions to load
-        await sleep(2000);
-        
-        // Get new transaction count after clicking
-        const afterCount = this.getCurrentTransactionCount();
+        const { count: afterCount } = await this.tableWatcher.waitForRows(beforeCount, { showMoreButton });
         
         // If no new transactions loaded, we're done
         if (afterCount === beforeCount) {
@@ -497,43 +999,8 @@ class RBCTransactionExtractor {
   }
 
   getCurrentTransactionCount() {
-    // Debug: Log all tables and their classes
-    const allTables = document.querySelectorAll('table');
-    console.log('=== TABLES ON PAGE ===');
-    allTables.forEach((table, index) => {
-      const rows = table.querySelectorAll('tr[data-role="transaction-list-table-transaction"]');
-      console.log(`Table ${index}:`, table.className, table.classList);
-      if (rows.length > 0) {
-        console.log(`  -> Contains ${rows.length} transaction rows`);
-      }
-    });
-
-    // Find the table that contains the most transaction rows (avoid duplicates)
-    let bestTable = null;
-    let maxRows = 0;
-
-    for (const table of allTables) {
-      if (table.className.includes('rbc-transaction-list')) {
-        const rows = table.querySelectorAll('tr[data-role="transaction-list-table-transaction"]');
-        console.log(`Checking table "${table.className}" - contains ${rows.length} transaction rows`);
-
-        if (rows.length > maxRows) {
-          maxRows = rows.length;
-          bestTable = table;
-          console.log(`  -> This is the best table so far!`);
-        }
-      }
-    }
-
-    if (bestTable) {
-      console.log(`🎯 Using table with ${maxRows} transactions:`, bestTable.className);
-      return maxRows;
-    }
-
-    // Fallback: count all transaction rows globally
-    const allTransactionRows = document.querySelectorAll('tr[data-role="transaction-list-table-transaction"]');
-    console.log(`Found ${allTransactionRows.length} transactions globally as fallback`);
-    return allTransactionRows.length;
+    // Kept current by the table watcher's MutationObserver, so this is cheap to call often
+    return this.tableWatcher.getRowCount();
   }
 
   extractFromRBCTransactionRows(transactionRows) {
@@ -600,6 +1067,15 @@ class RBCTransactionExtractor {
     }
   }
 
+  getExportMetadata() {
+    return {
+      source: this.extractionMethod === 'pdf' ? 'pdf' : 'web',
+      accountInfo: this.accountInfo,
+      extractedAt: this.extractedAt,
+      extractionMethod: this.extractionMethod
+    };
+  }
+
   extractAccountInfo() {
     const accountInfo = {
       accountName: '',
@@ -798,11 +1274,16 @@ class RBCTransactionExtractor {
 
     if (dateMatch && amounts.length > 0) {
       // Try to extract transaction info
+      const balance = amounts[amounts.length - 1] !== amounts[0] ? amounts[amounts.length - 1] : '';
       const transaction = {
         date: normalizeDate(dateMatch),
+        isoDate: toCanonicalDate(dateMatch),
         description: extractDescription(text),
         amount: amounts[0],
-        balance: amounts[amounts.length - 1] !== amounts[0] ? amounts[amounts.length - 1] : ''
+        amountMoney: parseMoney(amounts[0]),
+        balance,
+        balanceMoney: balance ? parseMoney(balance) : null,
+        raw: { date: dateMatch, amount: amounts[0] }
       };
 
       if (isValidTransaction(transaction)) {
@@ -833,14 +1314,23 @@ class RBCTransactionExtractor {
       const result = await this.pdfProcessor.downloadAndProcessPDF(pdfUrl, filename);
 
       if (result.success && result.transactions.length > 0) {
+        const period = result.statement && result.statement.period;
         this.transactions = result.transactions;
+        this.pendingWatermark = null;
+        this.accountInfo = period ? { dateRange: `${period.start} to ${period.end}` } : {};
+        this.extractedAt = new Date().toISOString();
+        this.extractionMethod = 'pdf';
         console.log(`Successfully processed PDF with ${result.transactions.length} transactions`);
 
         return {
           success: true,
           count: result.transactions.length,
           transactions: result.transactions,
-          filename: result.filename
+          statement: result.statement,
+          accountInfo: this.accountInfo,
+          filename: result.filename,
+          extractedAt: this.extractedAt,
+          extractionMethod: this.extractionMethod
         };
       } else {
         return {
@@ -861,6 +1351,53 @@ class RBCTransactionExtractor {
     }
   }
 
+  /**
+   * Save one statement PDF under a name built from its statement period (see formatStatementFilename)
+   * range is { from, to } as YYYY-MM, either may be empty; statements ending outside it are left alone.
+   * Resolves to { success, status: 'downloaded' | 'exists' | 'outOfRange', filename, period }
+   */
+  async archiveStatement(pdfUrl, range = {}, template = DEFAULT_EXPORT_SETTINGS.statementFilenameTemplate) {
+    try {
+      const pdfData = await this.pdfProcessor.downloadPDFFile(pdfUrl);
+
+      // Statement links sometimes lead to an HTML page rather than the PDF itself
+      if (String.fromCharCode(...new Uint8Array(pdfData, 0, Math.min(5, pdfData.byteLength))) !== '%PDF-') {
+        throw new Error('Link does not lead to a PDF file');
+      }
+
+      const details = await this.pdfProcessor.readStatementDetails(pdfData);
+      if (!details.period) {
+        throw new Error('No statement period found to name the file');
+      }
+
+      const month = details.period.end.slice(0, 7);
+      if ((range.from && month < range.from) || (range.to && month > range.to)) {
+        return { success: true, status: 'outOfRange', period: details.period };
+      }
+
+      const filename = formatStatementFilename(template, details);
+      const response = await chrome.runtime.sendMessage({
+        action: 'downloadStatement',
+        data: arrayBufferToBase64(pdfData),
+        filename
+      });
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Download failed');
+      }
+
+      return {
+        success: true,
+        status: response.skipped ? 'exists' : 'downloaded',
+        filename,
+        period: details.period
+      };
+    } catch (error) {
+      console.error('Error archiving statement:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   detectAvailablePDFs() {
     const pdfs = [];
 
@@ -6,13 +6,17 @@
 function parseRBCTransactionRow(row) {
   const transaction = {
     date: '',
+    isoDate: '', // Canonical YYYY-MM-DD date every exporter formats from
     description: '',
     vendor: '',
     amount: '',
+    amountMoney: null, // { cents, currency }, signed by the column the amount was shown in
     type: '',
     balance: '',
+    balanceMoney: null,
     reference: '',
-    accountType: '' // debit or credit
+    accountType: '', // debit or credit
+    raw: {} // Cell text as displayed, before normalization
   };
 
   // Determine if this is a debit or credit transaction based on headers attribute
@@ -26,7 +30,9 @@ function parseRBCTransactionRow(row) {
   // Look for date in the date-column-padding td element
   const dateElement = row.querySelector('td.date-column-padding, td[headers*="pda-date"], td[headers*="cc-date"], td[class*="date"]');
   if (dateElement) {
-    transaction.date = normalizeDate(dateElement.textContent.trim());
+    transaction.raw.date = dateElement.textContent.trim();
+    transaction.date = normalizeDate(transaction.raw.date);
+    transaction.isoDate = toCanonicalDate(transaction.raw.date);
   }
 
   // If no date found, try extracting from row's id or headers attribute
@@ -34,7 +40,9 @@ function parseRBCTransactionRow(row) {
     const rowId = row.getAttribute('id') || '';
     const dateMatch = rowId.match(/(\d{4}-\d{2}-\d{2})/);
     if (dateMatch) {
+      transaction.raw.date = dateMatch[1];
       transaction.date = normalizeDate(dateMatch[1]);
+      transaction.isoDate = toCanonicalDate(dateMatch[1]);
     }
   }
 
@@ -52,7 +60,9 @@ function parseRBCTransactionRow(row) {
     for (const pattern of datePatterns) {
       const match = rowText.match(pattern);
       if (match) {
+        transaction.raw.date = match[0];
         transaction.date = normalizeDate(match[0]);
+        transaction.isoDate = toCanonicalDate(match[0]);
         break;
       }
     }
@@ -69,6 +79,7 @@ function parseRBCTransactionRow(row) {
         descriptions.push(text);
       }
     });
+    transaction.raw.description = descriptions.join(' | ');
     
     // Different parsing for credit vs debit transactions
     if (transaction.accountType === 'credit') {
@@ -115,6 +126,7 @@ function parseRBCTransactionRow(row) {
     }
     
     if (longestText) {
+      transaction.raw.description = longestText;
       const parsed = parseDescriptionAndVendor(longestText);
       transaction.description = parsed.description;
       transaction.vendor = parsed.vendor;
@@ -148,30 +160,33 @@ function parseRBCTransactionRow(row) {
     if (withdrawElement && withdrawElement.textContent.trim()) {
       // Purchases/charges in withdraw column (shown as positive, are debits)
       const amountText = withdrawElement.textContent.trim();
-      transaction.amount = amountText.startsWith('$') ? '-' + amountText : '-$' + amountText;
+      transaction.raw.amount = amountText;
+      transaction.amount = signAmountForColumn(amountText, true);
+      transaction.amountMoney = parseMoney(amountText, -1);
     } else if (depositElement && depositElement.textContent.trim()) {
       // Payments/refunds in deposit column - ensure they're always positive
+      // (handles both -$777.57 and -777.57 formats)
       const amountText = depositElement.textContent.trim();
-      // Remove negative sign if present (handles both -$777.57 and -777.57 formats)
-      let cleanAmount = amountText.replace(/^-\$?/, '');
-      // Ensure dollar sign is present
-      if (!cleanAmount.startsWith('$')) {
-        cleanAmount = '$' + cleanAmount;
-      }
-      transaction.amount = cleanAmount;
+      transaction.raw.amount = amountText;
+      transaction.amount = signAmountForColumn(amountText, false);
+      transaction.amountMoney = parseMoney(amountText, 1);
     }
   } else {
-    // Debit transactions: look in withdraw/deposit columns
+    // Debit transactions: look in withdraw/deposit columns, signed the same way as credit cards
     const withdrawElement = row.querySelector('td.rbc-transaction-list-withdraw span, td[class*="withdraw"] span');
-    if (withdrawElement) {
-      transaction.amount = withdrawElement.textContent.trim();
+    if (withdrawElement && withdrawElement.textContent.trim()) {
+      transaction.raw.amount = withdrawElement.textContent.trim();
+      transaction.amount = signAmountForColumn(transaction.raw.amount, true);
+      transaction.amountMoney = parseMoney(transaction.raw.amount, -1);
     }
 
     // Look for amount in deposit column if not found in withdrawal
     if (!transaction.amount) {
       const depositElement = row.querySelector('td.rbc-transaction-list-deposit span, td[class*="deposit"] span');
-      if (depositElement) {
-        transaction.amount = depositElement.textContent.trim();
+      if (depositElement && depositElement.textContent.trim()) {
+        transaction.raw.amount = depositElement.textContent.trim();
+        transaction.amount = signAmountForColumn(transaction.raw.amount, false);
+        transaction.amountMoney = parseMoney(transaction.raw.amount, 1);
       }
     }
   }
@@ -183,6 +198,8 @@ function parseRBCTransactionRow(row) {
       const text = cell.textContent.trim();
       if (isAmount(text)) {
         transaction.amount = text;
+        transaction.raw.amount = text;
+        transaction.amountMoney = parseMoney(text);
         break;
       }
     }
@@ -192,6 +209,8 @@ function parseRBCTransactionRow(row) {
   const balanceElement = row.querySelector('td.rbc-transaction-list-balance span, td[class*="balance"] span');
   if (balanceElement && balanceElement.textContent.trim()) {
     transaction.balance = balanceElement.textContent.trim();
+    transaction.raw.balance = transaction.balance;
+    transaction.balanceMoney = parseMoney(transaction.balance);
   }
 
   // If no balance found, look for the last amount in the row (excluding the main amount)
@@ -207,12 +226,23 @@ function parseRBCTransactionRow(row) {
     
     if (amounts.length > 0) {
       transaction.balance = amounts[amounts.length - 1];
+      transaction.raw.balance = transaction.balance;
+      transaction.balanceMoney = parseMoney(transaction.balance);
     }
   }
 
   return transaction;
 }
 
+/**
+ * Sign an amount by the column it was shown in: withdrawals negative, deposits positive
+ * Whatever sign RBC displayed is dropped, and the dollar sign is always present
+ */
+function signAmountForColumn(amountText, isWithdrawal) {
+  const magnitude = amountText.replace(/[-()\s]/g, '').replace(/^\$/, '');
+  return `${isWithdrawal ? '-' : ''}$${magnitude}`;
+}
+
 /**
  * Parse description and vendor from text
  */
@@ -281,11 +311,16 @@ function parseTransactionLine(line) {
   const amountMatches = line.match(/\$[\d,]+\.\d{2}/g);
 
   if (dateMatch && amountMatches) {
+    const balance = amountMatches.length > 1 ? amountMatches[amountMatches.length - 1] : '';
     return {
       date: normalizeDate(dateMatch[0]),
+      isoDate: toCanonicalDate(dateMatch[0]),
       description: extractDescription(line),
       amount: amountMatches[0],
-      balance: amountMatches.length > 1 ? amountMatches[amountMatches.length - 1] : ''
+      amountMoney: parseMoney(amountMatches[0]),
+      balance,
+      balanceMoney: balance ? parseMoney(balance) : null,
+      raw: { line }
     };
   }
 
@@ -301,11 +336,15 @@ function createTransactionFromCells(cells, headers = []) {
   // Try to map cells to transaction fields
   const transaction = {
     date: '',
+    isoDate: '',
     description: '',
     amount: '',
+    amountMoney: null,
     balance: '',
+    balanceMoney: null,
     type: '',
-    reference: ''
+    reference: '',
+    raw: { cells: cellTexts }
   };
 
   for (let i = 0; i < cellTexts.length; i++) {
@@ -314,11 +353,14 @@ function createTransactionFromCells(cells, headers = []) {
 
     if (isDate(text)) {
       transaction.date = normalizeDate(text);
+      transaction.isoDate = toCanonicalDate(text);
     } else if (isAmount(text)) {
       if (!transaction.amount) {
         transaction.amount = text;
+        transaction.amountMoney = parseMoney(text);
       } else if (!transaction.balance) {
         transaction.balance = text;
+        transaction.balanceMoney = parseMoney(text);
       }
     } else if (text.length > 3 && !transaction.description) {
       transaction.description = text;
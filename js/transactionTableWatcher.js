@@ -0,0 +1,177 @@
+// Transaction table watching for RBC CSV Exporter
+// A MutationObserver on the transaction table reports rows as they arrive, so loading
+// and the live counts react to the page instead of polling it
+
+const TRANSACTION_ROW_SELECTOR = 'tr[data-role="transaction-list-table-transaction"]';
+
+// While there is no table, page mutations trigger a search for one at most this often (ms)
+const TABLE_SEARCH_INTERVAL = 250;
+
+class TransactionTableWatcher {
+  constructor() {
+    this.observer = null;
+    this.table = null;
+    this.rowCount = 0;
+    this.listeners = [];
+    this.pendingWaits = [];
+    this.searchTimer = null;
+  }
+
+  /**
+   * Start watching; until a transaction table exists, the page is watched for one to appear
+   */
+  start() {
+    if (this.observer) return;
+
+    this.observer = new MutationObserver(() => this.handleMutations());
+    this.attach();
+  }
+
+  stop() {
+    clearTimeout(this.searchTimer);
+    this.searchTimer = null;
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    this.interruptWaits();
+  }
+
+  attach() {
+    this.observer.disconnect();
+    this.table = this.findTable();
+
+    // Watching the table's parent also catches the table being re-rendered as a whole
+    const target = this.table ? (this.table.parentElement || this.table) : document.body;
+    this.observer.observe(target, { childList: true, subtree: true });
+    this.updateCount();
+  }
+
+  handleMutations() {
+    if (this.table && this.table.isConnected) {
+      this.updateCount();
+      return;
+    }
+
+    // Without a table the whole page is watched, so searching on every mutation would be costly
+    if (this.searchTimer) return;
+    this.searchTimer = setTimeout(() => {
+      this.searchTimer = null;
+      if (this.observer) this.attach();
+    }, TABLE_SEARCH_INTERVAL);
+  }
+
+  /**
+   * The RBC transaction table holding the most rows (the page can render duplicates)
+   */
+  findTable() {
+    let bestTable = null;
+    let maxRows = 0;
+
+    for (const table of document.querySelectorAll('table')) {
+      if (!table.className.includes('rbc-transaction-list')) continue;
+
+      const rows = table.querySelectorAll(TRANSACTION_ROW_SELECTOR).length;
+      if (rows > maxRows) {
+        maxRows = rows;
+        bestTable = table;
+      }
+    }
+
+    return bestTable;
+  }
+
+  updateCount() {
+    const scope = this.table || document;
+    const count = scope.querySelectorAll(TRANSACTION_ROW_SELECTOR).length;
+    if (count === this.rowCount) return;
+
+    this.rowCount = count;
+    this.listeners.forEach(listener => listener(count));
+  }
+
+  getRowCount() {
+    // Not started yet: count directly rather than report a stale number
+    if (!this.observer) {
+      this.table = this.findTable();
+      this.updateCount();
+    }
+    return this.rowCount;
+  }
+
+  /**
+   * Call listener(count) whenever the number of transaction rows changes; returns an unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Wait for the table to grow past beforeCount after a "Show More" click
+   * Resolves to { count, reason }: 'loaded' once new rows have stopped arriving, 'ended' when the
+   * Show More button went away and no rows arrived for a whole timeout afterwards (the list is
+   * complete), 'timeout', or 'interrupted' (see interruptWaits)
+   */
+  waitForRows(beforeCount, { timeout = 15000, settleTime = 300, showMoreButton = null } = {}) {
+    this.start();
+
+    return new Promise(resolve => {
+      let settleTimer = null;
+      let endedTimer = null;
+      let buttonObserver = null;
+      let unsubscribe = null;
+
+      const finish = reason => {
+        clearTimeout(timeoutTimer);
+        clearTimeout(settleTimer);
+        clearTimeout(endedTimer);
+        if (buttonObserver) buttonObserver.disconnect();
+        unsubscribe();
+        this.pendingWaits = this.pendingWaits.filter(wait => wait !== finish);
+        resolve({ count: this.rowCount, reason });
+      };
+
+      // A batch can arrive over several mutations; wait until the table has been quiet briefly
+      const onRows = count => {
+        if (count <= beforeCount) return;
+        clearTimeout(endedTimer);
+        endedTimer = null;
+        clearTimeout(settleTimer);
+        settleTimer = setTimeout(() => finish('loaded'), settleTime);
+      };
+
+      let timeoutTimer = setTimeout(() => finish(this.rowCount > beforeCount ? 'loaded' : 'timeout'), timeout);
+      unsubscribe = this.onChange(onRows);
+      this.pendingWaits.push(finish);
+
+      // A button that is removed or hidden rather than just disabled can mean no more pages, but
+      // RBC may also hide it while the next page loads; only a full timeout without new rows after
+      // it went away counts as the end of the list
+      if (showMoreButton && showMoreButton.parentElement) {
+        const container = showMoreButton.parentElement.parentElement || showMoreButton.parentElement;
+        buttonObserver = new MutationObserver(() => {
+          const gone = !showMoreButton.isConnected || showMoreButton.offsetParent === null;
+          if (gone && this.rowCount <= beforeCount && !settleTimer && !endedTimer) {
+            clearTimeout(timeoutTimer);
+            timeoutTimer = null;
+            endedTimer = setTimeout(() => finish('ended'), timeout);
+          }
+        });
+        buttonObserver.observe(container, { childList: true, subtree: true, attributes: true });
+      }
+
+      // Rows may already have arrived between the click and this call
+      onRows(this.rowCount);
+    });
+  }
+
+  /**
+   * Resolve every pending waitForRows at once, e.g. when loading is cancelled
+   */
+  interruptWaits() {
+    [...this.pendingWaits].forEach(finish => finish('interrupted'));
+  }
+}
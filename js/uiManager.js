@@ -3,7 +3,7 @@
 class UIManager {
   constructor(extractor) {
     this.extractor = extractor;
-    this.countInterval = null;
+    this.stopCountUpdates = null;
   }
 
   addExtractionButton() {
@@ -56,8 +56,11 @@ class UIManager {
       // Update the count
       this.updateFloatingCount();
       
-      // Update count periodically (every 2 seconds)
-      this.countInterval = setInterval(() => this.updateFloatingCount(), 2000);
+      // Update the counts whenever the table watcher sees rows come or go
+      this.stopCountUpdates = this.extractor.tableWatcher.onChange(() => {
+        this.updateFloatingCount();
+        this.updatePopupCount();
+      });
     }, 2000);
   }
 
@@ -134,13 +137,40 @@ class UIManager {
           </div>
         </div>
 
+        <!-- Shown while "Show More" loading runs -->
+        <div id="rbc-loading-controls" class="rbc-loading-controls" style="display: none;">
+          <button id="rbc-popup-pause-btn" class="rbc-popup-btn rbc-popup-btn-outline">
+            <span>⏸ Pause</span>
+          </button>
+          <button id="rbc-popup-cancel-btn" class="rbc-popup-btn rbc-popup-btn-outline" title="Stop loading and keep the transactions loaded so far">
+            <span>⏹ Cancel</span>
+          </button>
+        </div>
+
         <div class="rbc-popup-actions">
           <button id="rbc-popup-extract-btn" class="rbc-popup-btn rbc-popup-btn-primary">
             <span>📊 Extract Transactions</span>
           </button>
-          <button id="rbc-popup-download-btn" class="rbc-popup-btn rbc-popup-btn-secondary" style="display: none;">
-            <span>💾 Download CSV</span>
+          <button id="rbc-popup-extract-new-btn" class="rbc-popup-btn rbc-popup-btn-outline" title="Only transactions newer than this account's last download">
+            <span>🆕 Export New Transactions Only</span>
+          </button>
+          <button id="rbc-popup-extract-all-btn" class="rbc-popup-btn rbc-popup-btn-outline" title="Run from the accounts summary page">
+            <span>🏦 Extract All Accounts</span>
           </button>
+          <div id="rbc-account-progress" class="rbc-account-progress" style="display: none;"></div>
+          <div id="rbc-popup-download-row" class="rbc-popup-download-row" style="display: none;">
+            <select id="rbc-popup-format" class="rbc-popup-format">
+              ${Object.entries(EXPORT_FORMATS).map(([value, format]) =>
+                `<option value="${value}">${format.label}</option>`).join('')}
+            </select>
+            <select id="rbc-popup-preset" class="rbc-popup-format" title="CSV layout">
+              ${Object.entries(CSV_PRESETS).map(([value, preset]) =>
+                `<option value="${value}">${preset.label}</option>`).join('')}
+            </select>
+            <button id="rbc-popup-download-btn" class="rbc-popup-btn rbc-popup-btn-secondary">
+              <span>💾 Download</span>
+            </button>
+          </div>
         </div>
 
         <div class="rbc-popup-help">
@@ -150,7 +180,7 @@ class UIManager {
               <li>Set date filter in RBC (up to 7 years)</li>
               <li>Wait for all transactions to load</li>
               <li>Click "Extract Transactions"</li>
-              <li>Click "Download CSV" when ready</li>
+              <li>Pick a format and click "Download" when ready</li>
             </ol>
           </details>
         </div>
@@ -180,6 +210,12 @@ class UIManager {
     
     // Add event listeners
     this.setupPopupListeners();
+
+    // Reopened while loading: bring back the loading controls
+    if (this.extractor.loadingState === 'running' || this.extractor.loadingState === 'paused') {
+      this.showLoadingControls(true);
+      this.setLoadingPaused(this.extractor.loadingState === 'paused');
+    }
   }
 
   addPopupStyles() {
@@ -349,6 +385,25 @@ class UIManager {
         margin-bottom: 16px;
       }
       
+      .rbc-popup-download-row {
+        flex-wrap: wrap;
+        gap: 8px;
+      }
+
+      .rbc-popup-format {
+        flex: 1;
+        padding: 8px;
+        border: 1px solid #e2e8f0;
+        border-radius: 8px;
+        font-size: 13px;
+        color: #1e293b;
+        background: white;
+      }
+
+      .rbc-popup-download-row .rbc-popup-btn {
+        flex: 1 1 100%;
+      }
+
       .rbc-popup-btn {
         padding: 12px 16px;
         border: none;
@@ -381,6 +436,42 @@ class UIManager {
         transform: none;
       }
       
+      .rbc-popup-btn-outline {
+        background: white;
+        color: #1e3a8a;
+        border: 1px solid #3b82f6;
+      }
+      
+      .rbc-popup-btn-outline:disabled {
+        color: #9ca3af;
+        border-color: #d1d5db;
+        cursor: not-allowed;
+      }
+      
+      .rbc-loading-controls {
+        display: flex;
+        gap: 8px;
+        margin-bottom: 12px;
+      }
+      
+      .rbc-loading-controls .rbc-popup-btn {
+        flex: 1;
+      }
+      
+      .rbc-account-progress {
+        display: flex;
+        flex-direction: column;
+        gap: 4px;
+        font-size: 12px;
+        color: #374151;
+      }
+      
+      .rbc-account-progress-item {
+        display: flex;
+        justify-content: space-between;
+        gap: 8px;
+      }
+      
       .rbc-popup-btn-secondary {
         background: #10b981;
         color: white;
@@ -466,12 +557,77 @@ class UIManager {
       };
     }
     
+    // Incremental extraction, stopping at the last export
+    const extractNewBtn = document.getElementById('rbc-popup-extract-new-btn');
+    if (extractNewBtn) {
+      extractNewBtn.onclick = async () => {
+        await this.extractor.handlePopupExtract({ newOnly: true });
+      };
+    }
+
+    // Pause/Resume and Cancel for Show More loading
+    const pauseBtn = document.getElementById('rbc-popup-pause-btn');
+    if (pauseBtn) {
+      pauseBtn.onclick = () => {
+        if (this.extractor.loadingState === 'paused') {
+          this.extractor.resumeLoading();
+        } else {
+          this.extractor.pauseLoading();
+        }
+      };
+    }
+
+    const cancelBtn = document.getElementById('rbc-popup-cancel-btn');
+    if (cancelBtn) {
+      cancelBtn.onclick = () => this.extractor.cancelLoading();
+    }
+
+    // Multi-account run, started from the accounts summary
+    const extractAllBtn = document.getElementById('rbc-popup-extract-all-btn');
+    if (extractAllBtn) {
+      extractAllBtn.onclick = async () => {
+        await this.extractor.handleAccountBatchExtract();
+      };
+    }
+    
+    // Format and CSV preset dropdowns - the preset only applies to CSV downloads
+    const formatSelect = document.getElementById('rbc-popup-format');
+    const presetSelect = document.getElementById('rbc-popup-preset');
+    if (formatSelect && presetSelect) {
+      const togglePreset = () => {
+        presetSelect.style.display = formatSelect.value === 'csv' ? '' : 'none';
+      };
+      formatSelect.onchange = togglePreset;
+      togglePreset();
+
+      loadExportSettings().then(settings => {
+        // Saved templates sit after the built-in presets
+        settings.csvTemplates.forEach(template => {
+          const option = document.createElement('option');
+          option.value = `template:${template.id}`;
+          option.textContent = template.name;
+          presetSelect.appendChild(option);
+        });
+        presetSelect.value = settings.csvPreset;
+        if (!presetSelect.value) presetSelect.value = 'standard';
+      });
+      presetSelect.onchange = () => {
+        saveExportSettings({ csvPreset: presetSelect.value }).catch(error => {
+          console.error('Error saving CSV preset:', error);
+        });
+      };
+    }
+
     // Download button
     const downloadBtn = document.getElementById('rbc-popup-download-btn');
     if (downloadBtn) {
-      downloadBtn.onclick = () => {
+      downloadBtn.onclick = async () => {
         if (this.extractor.transactions && this.extractor.transactions.length > 0) {
-          downloadCSV(this.extractor.transactions);
+          const formatSelect = document.getElementById('rbc-popup-format');
+          const format = formatSelect ? formatSelect.value : 'csv';
+          const settings = await loadExportSettings();
+          downloadTransactions(this.extractor.transactions, format, this.extractor.getExportMetadata(), settings);
+          await this.extractor.recordExport();
           this.updatePopupStatus('success', `✅ Downloaded ${this.extractor.transactions.length} transactions`);
         }
       };
@@ -599,6 +755,60 @@ class UIManager {
     }
   }
 
+  showLoadingControls(visible) {
+    const controls = document.getElementById('rbc-loading-controls');
+    if (controls) {
+      controls.style.display = visible ? 'flex' : 'none';
+    }
+
+    if (visible) {
+      this.setLoadingPaused(false);
+    }
+  }
+
+  setLoadingPaused(paused) {
+    const pauseBtn = document.getElementById('rbc-popup-pause-btn');
+    if (pauseBtn) {
+      pauseBtn.innerHTML = paused ? '<span>▶ Resume</span>' : '<span>⏸ Pause</span>';
+    }
+  }
+
+  /**
+   * List each account of a multi-account run with how far it got
+   */
+  showAccountProgress(accounts) {
+    const list = document.getElementById('rbc-account-progress');
+    if (!list) return;
+
+    const statusLabels = {
+      pending: 'Waiting',
+      loading: '⏳ Loading…',
+      done: '✅',
+      error: '❌'
+    };
+
+    list.innerHTML = '';
+    for (const account of accounts) {
+      const item = document.createElement('div');
+      item.className = 'rbc-account-progress-item';
+
+      const name = document.createElement('span');
+      name.textContent = account.label;
+      item.appendChild(name);
+
+      const status = document.createElement('span');
+      status.textContent = account.status === 'done' ?
+        `${statusLabels.done} ${account.count}` :
+        statusLabels[account.status] || account.status;
+      if (account.error) status.title = account.error;
+      item.appendChild(status);
+
+      list.appendChild(item);
+    }
+
+    list.style.display = accounts.length > 0 ? 'flex' : 'none';
+  }
+
   updatePopupStatus(type, message) {
     const indicator = document.getElementById('rbc-status-indicator');
     const text = document.getElementById('rbc-status-text');
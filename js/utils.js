@@ -1,11 +1,11 @@
 // Utility functions for RBC CSV Exporter
 
 /**
- * Normalize date string to DD/MM/YYYY format
- * Handles various date formats including month names
+ * Parse a date string into the canonical YYYY-MM-DD form
+ * Handles various date formats including month names; returns '' when unreadable
  */
-function normalizeDate(dateStr) {
-  const trimmedDate = dateStr.trim();
+function toCanonicalDate(dateStr) {
+  const trimmedDate = String(dateStr || '').trim();
   
   // Month name mapping
   const monthNames = {
@@ -23,7 +23,7 @@ function normalizeDate(dateStr) {
   if (match) {
     const [, monthName, day, year] = match;
     const month = monthNames[monthName.toLowerCase()];
-    return `${day.padStart(2, '0')}/${month}/${year}`;
+    return `${year}-${month}-${day.padStart(2, '0')}`;
   }
 
   // Pattern 2: MM/DD/YYYY or M/D/YYYY
@@ -31,7 +31,7 @@ function normalizeDate(dateStr) {
   match = trimmedDate.match(mmddyyyyPattern);
   if (match) {
     const [, month, day, year] = match;
-    return `${day.padStart(2, '0')}/${month.padStart(2, '0')}/${year}`;
+    return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
   }
 
   // Pattern 3: MM-DD-YYYY or M-D-YYYY
@@ -39,7 +39,7 @@ function normalizeDate(dateStr) {
   match = trimmedDate.match(mmddyyyyDashPattern);
   if (match) {
     const [, month, day, year] = match;
-    return `${day.padStart(2, '0')}/${month.padStart(2, '0')}/${year}`;
+    return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
   }
 
   // Pattern 4: YYYY-MM-DD
@@ -47,25 +47,21 @@ function normalizeDate(dateStr) {
   match = trimmedDate.match(yyyymmddPattern);
   if (match) {
     const [, year, month, day] = match;
-    return `${day.padStart(2, '0')}/${month.padStart(2, '0')}/${year}`;
+    return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
   }
 
-  // If no pattern matches, return as-is
-  return trimmedDate;
+  return '';
 }
 
 /**
- * Normalize amount string to consistent format
+ * Normalize date string to DD/MM/YYYY format
+ * Handles various date formats including month names
  */
-function normalizeAmount(amountStr) {
-  const cleanAmount = amountStr.replace(/[,$]/g, '');
-  const num = parseFloat(cleanAmount);
-
-  if (isNaN(num)) return amountStr;
+function normalizeDate(dateStr) {
+  const canonical = toCanonicalDate(dateStr);
 
-  // Return as negative for withdrawals, positive for deposits
-  return amountStr.startsWith('-') || amountStr.includes('(') ?
-    num.toFixed(2) : num.toFixed(2);
+  // If no pattern matches, return as-is
+  return canonical ? formatDate(canonical, 'DD/MM/YYYY') : dateStr.trim();
 }
 
 /**
@@ -161,3 +157,273 @@ function looksLikeTransaction(line) {
          /\b\d{1,2}\/\d{1,2}\/\d{2,4}\b.*\$[\d,]+\.\d{2}/.test(line) ||
          /\b(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec|January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2},?\s+\d{4}\b.*\$[\d,]+\.\d{2}/gi.test(line);
 }
+
+/**
+ * Parse a display amount ("$1,234.56", "-$12.00", "(12.00)", "US$5.00") into a money value
+ * Returns { cents, currency } with integer cents, or null when the text holds no amount.
+ * Pass sign = -1 or 1 when the column the amount came from decides its direction;
+ * with sign = 0 the text's own minus sign or parentheses are used.
+ */
+function parseMoney(amountStr, sign = 0, defaultCurrency = 'CAD') {
+  if (amountStr === undefined || amountStr === null) return null;
+
+  const text = String(amountStr).trim();
+  const match = text.replace(/,/g, '').match(/(\d+)(?:\.(\d{1,2}))?/);
+  if (!match) return null;
+
+  const magnitude = parseInt(match[1], 10) * 100 + parseInt((match[2] || '0').padEnd(2, '0'), 10);
+  const textIsNegative = /^[^\d]*[-(]/.test(text) || /-\s*$/.test(text);
+  const isNegative = sign ? sign < 0 : textIsNegative;
+
+  return {
+    cents: isNegative && magnitude ? -magnitude : magnitude,
+    currency: /US\$|USD/i.test(text) ? 'USD' : defaultCurrency
+  };
+}
+
+/**
+ * Format integer cents as a plain decimal ("-1234.56")
+ */
+function centsToDecimal(cents) {
+  const abs = Math.abs(cents);
+  return `${cents < 0 ? '-' : ''}${Math.floor(abs / 100)}.${String(abs % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Format integer cents for display ("-$1234.56")
+ */
+function formatCents(cents) {
+  const decimal = centsToDecimal(cents);
+  return decimal.startsWith('-') ? `-$${decimal.slice(1)}` : `$${decimal}`;
+}
+
+/**
+ * Amount of a transaction in cents, from its money value or (for older data) its display text
+ * Returns null when there is no amount
+ */
+function amountCentsOf(transaction) {
+  const money = transaction.amountMoney || parseMoney(transaction.amount);
+  return money ? money.cents : null;
+}
+
+/**
+ * Running balance of a transaction in cents, or null when none was shown
+ */
+function balanceCentsOf(transaction) {
+  const money = transaction.balanceMoney || parseMoney(transaction.balance);
+  return money ? money.cents : null;
+}
+
+/**
+ * Currency of a transaction's amount
+ */
+function currencyOf(transaction) {
+  return transaction.amountMoney ? transaction.amountMoney.currency : 'CAD';
+}
+
+/**
+ * Parse a display amount into a number (dollars); NaN when the text is not an amount
+ */
+function parseAmountValue(amountStr) {
+  const money = parseMoney(amountStr);
+  return money ? money.cents / 100 : NaN;
+}
+
+/**
+ * Split a canonical YYYY-MM-DD date, or a DD/MM/YYYY date from normalizeDate, into its parts
+ * Returns null when the date cannot be read
+ */
+function parseDateParts(dateStr) {
+  if (!dateStr) return null;
+
+  const text = String(dateStr).trim();
+  const isoMatch = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (isoMatch) {
+    const [, year, month, day] = isoMatch;
+    return { year, month, day };
+  }
+
+  const match = text.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  if (!match) return null;
+
+  const [, day, month, year] = match;
+  return { year, month, day };
+}
+
+/**
+ * The date exporters should format from: the canonical date when the parser set one
+ */
+function canonicalDateOf(transaction) {
+  return transaction.isoDate || transaction.date;
+}
+
+/**
+ * Deterministic 32-bit FNV-1a hash, returned as 8 hex characters
+ */
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * A transaction's description text as letters and digits only, lowercased
+ * With printedOnly, page rows use the text the bank printed (raw.description), since their
+ * description/vendor split is the extension's own (card rows get a made-up "Purchase")
+ */
+function descriptionKeyOf(transaction, printedOnly = false) {
+  const printed = transaction.raw && typeof transaction.raw.description === 'string' ? transaction.raw.description : '';
+  const text = (printedOnly && printed) || [transaction.description, transaction.vendor].filter(Boolean).join(' ');
+  return text.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Give every transaction a deterministic id: a hash of the account (when known), canonical date,
+ * amount in cents and the full description and vendor, so the same row gets the same id in a
+ * later session. Identical rows get an occurrence counter ("-2", "-3"), handed out in a sorted
+ * order so it does not depend on the order the rows were read in
+ * Returns copies in the original order; rows that already carry an id keep it
+ */
+function assignTransactionIds(transactions) {
+  const keys = transactions.map(transaction => [
+    transaction.account || '',
+    canonicalDateOf(transaction),
+    amountCentsOf(transaction),
+    descriptionKeyOf(transaction)
+  ].join('|'));
+  const tiebreaks = transactions.map(transaction => [
+    balanceCentsOf(transaction) ?? '',
+    transaction.raw ? JSON.stringify(transaction.raw) : ''
+  ].join('|'));
+
+  const ids = [];
+  const occurrences = {};
+  transactions
+    .map((transaction, index) => index)
+    .sort((a, b) => keys[a].localeCompare(keys[b]) || tiebreaks[a].localeCompare(tiebreaks[b]) || a - b)
+    .forEach(index => {
+      const key = keys[index];
+      occurrences[key] = (occurrences[key] || 0) + 1;
+      ids[index] = `${hashString(key)}${occurrences[key] > 1 ? `-${occurrences[key]}` : ''}`;
+    });
+
+  return transactions.map((transaction, index) => transaction.id ? transaction : { ...transaction, id: ids[index] });
+}
+
+/**
+ * Whether two rows from different sources are the same transaction, although their ids differ:
+ * same date and amount, no conflicting account, and one printed description starting with the
+ * other, since statements append wrapped lines to the end of a description
+ */
+function isSameTransaction(a, b) {
+  if (a.account && b.account && a.account !== b.account) return false;
+  if (canonicalDateOf(a) !== canonicalDateOf(b) || amountCentsOf(a) !== amountCentsOf(b)) return false;
+
+  const keyA = descriptionKeyOf(a, true);
+  const keyB = descriptionKeyOf(b, true);
+  return Boolean(keyA && keyB) && (keyA.startsWith(keyB) || keyB.startsWith(keyA));
+}
+
+/**
+ * Combine transaction lists from different sources (page extraction, PDF statements, earlier
+ * sessions) into one. A row is dropped when an earlier list has a row with the same id, or
+ * failing that one isSameTransaction matches; each earlier row absorbs at most one duplicate
+ * per list, so repeats one source really has more of are kept
+ * Returns { transactions, duplicates }
+ */
+function dedupeTransactions(lists) {
+  const transactions = [];
+  let duplicates = 0;
+
+  for (const list of lists) {
+    const rows = assignTransactionIds(list);
+    const byId = new Map();
+    const byDateAndAmount = new Map();
+    transactions.forEach(other => {
+      byId.set(other.id, other);
+      const key = `${canonicalDateOf(other)}|${amountCentsOf(other)}`;
+      byDateAndAmount.set(key, [...(byDateAndAmount.get(key) || []), other]);
+    });
+
+    // Exact ids first, so a loose match cannot take a row another one matches exactly
+    const matched = new Set();
+    const unmatched = rows.filter(transaction => {
+      const other = byId.get(transaction.id);
+      if (!other || matched.has(other)) return true;
+      matched.add(other);
+      return false;
+    });
+
+    for (const transaction of unmatched) {
+      const candidates = byDateAndAmount.get(`${canonicalDateOf(transaction)}|${amountCentsOf(transaction)}`) || [];
+      const other = candidates.find(candidate => !matched.has(candidate) && isSameTransaction(candidate, transaction));
+      if (other) {
+        matched.add(other);
+        duplicates++;
+      } else {
+        transactions.push(transaction);
+      }
+    }
+
+    duplicates += rows.length - unmatched.length;
+  }
+
+  return { transactions, duplicates };
+}
+
+/**
+ * Format a date (anything parseDateParts reads) with a pattern
+ * Tokens: YYYY, YY, MMMM (January), MMM (Jan), MM, M, DD, D; text in square brackets is
+ * copied without its brackets ("[Day] D" gives "Day 5"), other text is copied as-is
+ * Returns the input unchanged when it cannot be read
+ */
+function formatDate(dateStr, pattern) {
+  const parts = parseDateParts(dateStr);
+  if (!parts) return dateStr || '';
+
+  const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'];
+  const monthName = monthNames[Number(parts.month) - 1];
+
+  const tokens = {
+    YYYY: parts.year,
+    YY: parts.year.slice(2),
+    MMMM: monthName,
+    MMM: monthName.slice(0, 3),
+    MM: parts.month,
+    M: String(Number(parts.month)),
+    DD: parts.day,
+    D: String(Number(parts.day))
+  };
+
+  return pattern.replace(/\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D/g, (token, literal) =>
+    literal !== undefined ? literal : tokens[token]);
+}
+
+/**
+ * Encode binary data as base64 so it can travel in extension messages
+ */
+function arrayBufferToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  // Convert in chunks; spreading a whole statement into fromCharCode overflows the stack
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 from an extension message back into bytes
+ */
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
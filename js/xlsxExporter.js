@@ -0,0 +1,271 @@
+// Excel (.xlsx) export for RBC CSV Exporter
+// Builds SpreadsheetML parts and zips them locally - no external libraries
+
+/**
+ * CRC-32 lookup table used by the zip writer
+ */
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Compute the CRC-32 checksum of a byte array
+ */
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build an uncompressed (stored) zip archive from { name, content } entries
+ */
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const nameBytes = encoder.encode(file.name);
+    const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+    const checksum = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // Local file header signature
+    local.setUint16(4, 20, true); // Version needed to extract
+    local.setUint16(6, 0x0800, true); // UTF-8 file names
+    local.setUint16(8, 0, true); // Stored, no compression
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, checksum, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true); // Central directory header signature
+    central.setUint16(4, 20, true); // Version made by
+    central.setUint16(6, 20, true); // Version needed to extract
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, checksum, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true); // Offset of the local header
+
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // End of central directory signature
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  for (const part of parts) {
+    zip.set(part, position);
+    position += part.length;
+  }
+
+  return zip;
+}
+
+/**
+ * Convert a canonical or DD/MM/YYYY date to an Excel serial day number (1900 date system)
+ */
+function toExcelDateSerial(dateStr) {
+  const parts = parseDateParts(dateStr);
+  if (!parts) return null;
+
+  const utc = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day));
+  return Math.round((utc - Date.UTC(1899, 11, 30)) / 86400000);
+}
+
+/**
+ * Build one worksheet cell; cell types are 'string', 'number' and 'date'
+ */
+function xlsxCell(ref, type, value) {
+  if (value === '' || value === null || value === undefined) return '';
+
+  if (type === 'date') {
+    const serial = toExcelDateSerial(value);
+    // Keep unreadable dates visible as text rather than dropping them
+    return serial === null ?
+      xlsxCell(ref, 'string', value) :
+      `<c r="${ref}" s="1"><v>${serial}</v></c>`;
+  }
+
+  if (type === 'number') {
+    const num = typeof value === 'number' ? value : parseAmountValue(value);
+    return isNaN(num) ?
+      xlsxCell(ref, 'string', value) :
+      `<c r="${ref}" s="2"><v>${num}</v></c>`;
+  }
+
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXML(value)}</t></is></c>`;
+}
+
+/**
+ * Build a worksheet part from a header row and typed data rows
+ * Columns read row[key], or call their own value(row) when they have one
+ */
+function buildWorksheetXML(columns, rows) {
+  const columnLetter = index => String.fromCharCode(65 + index);
+
+  const headerCells = columns.map((column, index) =>
+    xlsxCell(`${columnLetter(index)}1`, 'string', column.label)).join('');
+
+  const dataRows = rows.map((row, rowIndex) => {
+    const rowNumber = rowIndex + 2;
+    const cells = columns.map((column, index) =>
+      xlsxCell(`${columnLetter(index)}${rowNumber}`, column.type, column.value ? column.value(row) : row[column.key])).join('');
+    return `<row r="${rowNumber}">${cells}</row>`;
+  });
+
+  const widths = columns.map((column, index) =>
+    `<col min="${index + 1}" max="${index + 1}" width="${column.width || 14}" customWidth="1"/>`).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    `<cols>${widths}</cols>` +
+    `<sheetData><row r="1">${headerCells}</row>${dataRows.join('')}</sheetData>` +
+    '</worksheet>';
+}
+
+/**
+ * Convert transactions array to an .xlsx workbook (Uint8Array)
+ * Sheet 1 holds the transactions with real date and numeric cells,
+ * sheet 2 the account details from extractAccountInfo
+ */
+function convertToXLSX(transactions, metadata = {}, settings = DEFAULT_EXPORT_SETTINGS) {
+  const accountInfo = metadata.accountInfo || {};
+  const rows = transactions.map(transaction => ({ ...transaction, ...exportAmounts(transaction, settings) }));
+  const amountColumns = settings.amountColumns === 'split' ?
+    [
+      { key: 'withdrawal', label: 'Withdrawal', type: 'number', width: 12 },
+      { key: 'deposit', label: 'Deposit', type: 'number', width: 12 }
+    ] :
+    [{ key: 'amount', label: 'Amount', type: 'number', width: 12 }];
+
+  const transactionColumns = [
+    { key: 'date', label: 'Date', type: 'date', width: 12, value: canonicalDateOf },
+    ...(rows.some(row => row.account) ? [{ key: 'account', label: 'Account', type: 'string', width: 24 }] : []),
+    { key: 'accountType', label: 'Account Type', type: 'string', width: 13 },
+    { key: 'description', label: 'Description', type: 'string', width: 32 },
+    { key: 'vendor', label: 'Vendor/Payee', type: 'string', width: 32 },
+    ...amountColumns,
+    { key: 'balance', label: 'Balance', type: 'number', width: 12 },
+    { key: 'reference', label: 'Reference', type: 'string', width: 16 },
+    { key: 'id', label: 'Transaction ID', type: 'string', width: 12 }
+  ];
+
+  const accountColumns = [
+    { key: 'field', label: 'Field', type: 'string', width: 18 },
+    { key: 'value', label: 'Value', type: 'string', width: 40 }
+  ];
+
+  const accountRows = [
+    { field: 'Account Name', value: accountInfo.accountName || '' },
+    { field: 'Account Number', value: accountInfo.accountNumber || '' },
+    { field: 'Date Range', value: accountInfo.dateRange || '' },
+    { field: 'Balance', value: accountInfo.balance || '' },
+    { field: 'Transactions', value: String(transactions.length) },
+    { field: 'Extracted At', value: metadata.extractedAt || '' },
+    { field: 'Exported At', value: new Date().toISOString() }
+  ];
+
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet2.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        '<sheets>' +
+        '<sheet name="Transactions" sheetId="1" r:id="rId1"/>' +
+        '<sheet name="Account Info" sheetId="2" r:id="rId2"/>' +
+        '</sheets>' +
+        '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet2.xml"/>' +
+        '<Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      // Style 1 is an unambiguous yyyy-mm-dd date, style 2 a two-decimal number
+      name: 'xl/styles.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy\\-mm\\-dd"/></numFmts>' +
+        '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="3">' +
+        '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+        '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+        '</cellXfs>' +
+        '</styleSheet>'
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      content: buildWorksheetXML(transactionColumns, rows)
+    },
+    {
+      name: 'xl/worksheets/sheet2.xml',
+      content: buildWorksheetXML(accountColumns, accountRows)
+    }
+  ];
+
+  return createZip(files);
+}
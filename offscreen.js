@@ -0,0 +1,165 @@
+// RBC CSV Exporter offscreen document
+// Runs the bundled PDF.js so statements are never parsed inside the bank's page
+const OCR_RENDER_SCALE = 3; // 216 DPI; Tesseract misreads small statement print much below 200
+const OCR_MIN_TEXT_LENGTH = 10; // Fewer characters than this on a page with images and it is treated as a scan
+
+class PDFTextReader {
+  constructor() {
+    this.pdfjsLib = window.pdfjsLib;
+    this.pdfjsLib.GlobalWorkerOptions.workerSrc = chrome.runtime.getURL('lib/pdfjs/pdf.worker.min.js');
+    this.ocrWorker = null;
+    this.init();
+  }
+
+  init() {
+    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+      // Content scripts broadcast to every extension page; only answer the background script
+      if (request.target !== 'offscreen') return false;
+
+      if (request.action === 'extractPDFText') {
+        this.extractText(request.data, request.maxPages).then(sendResponse);
+        return true; // Keep message channel open for async response
+      }
+
+      return false;
+    });
+  }
+
+  /**
+   * Read the positioned text items of every page of a base64-encoded PDF, or of the first maxPages
+   */
+  async extractText(base64Data, maxPages = null) {
+    let pdf = null;
+
+    try {
+      pdf = await this.pdfjsLib.getDocument({ data: base64ToBytes(base64Data) }).promise;
+      const pages = [];
+
+      const pageCount = maxPages ? Math.min(maxPages, pdf.numPages) : pdf.numPages;
+
+      for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+        const page = await pdf.getPage(pageNumber);
+        const textContent = await page.getTextContent();
+
+        // Blank pages and near-empty ones ("Page 4 of 4") have nothing to OCR unless they hold an image
+        if (this.hasUsableText(textContent.items) || !(await this.hasImageContent(page))) {
+          pages.push({
+            pageNumber,
+            items: textContent.items.map(item => ({
+              str: item.str,
+              transform: item.transform,
+              width: item.width,
+              height: item.height
+            }))
+          });
+        } else {
+          console.log(`Page ${pageNumber} has no text layer, running OCR`);
+          pages.push({ pageNumber, items: await this.recognizePage(page), ocr: true });
+        }
+      }
+
+      return { success: true, pages };
+    } catch (error) {
+      console.error('Error reading PDF:', error);
+      return { success: false, error: error.message };
+    } finally {
+      if (pdf) {
+        pdf.destroy();
+      }
+    }
+  }
+
+  hasUsableText(items) {
+    return items.map(item => item.str).join('').replace(/\s/g, '').length >= OCR_MIN_TEXT_LENGTH;
+  }
+
+  /**
+   * Whether the page paints an image, as a scanned page does
+   */
+  async hasImageContent(page) {
+    const { OPS } = this.pdfjsLib;
+    const imageOps = new Set(Object.keys(OPS)
+      .filter(name => /^paint(?:Inline)?Image/.test(name))
+      .map(name => OPS[name]));
+
+    const operatorList = await page.getOperatorList();
+    return operatorList.fnArray.some(fn => imageOps.has(fn));
+  }
+
+  /**
+   * The Tesseract worker is started on the first scanned page and kept for later ones;
+   * the engine and English model are bundled, so nothing is fetched from a CDN
+   */
+  async getOCRWorker() {
+    if (!this.ocrWorker) {
+      this.ocrWorker = Tesseract.createWorker('eng', Tesseract.OEM.LSTM_ONLY, {
+        workerPath: chrome.runtime.getURL('lib/tesseract/worker.min.js'),
+        corePath: chrome.runtime.getURL('lib/tesseract/core'),
+        langPath: chrome.runtime.getURL('lib/tesseract/lang'),
+        workerBlobURL: false,
+        cacheMethod: 'none'
+      }).catch(error => {
+        this.ocrWorker = null;
+        throw error;
+      });
+    }
+
+    return this.ocrWorker;
+  }
+
+  /**
+   * Rasterize a page and OCR it into the same shape as PDF.js text items, so scanned
+   * statements go through the normal line and column parsing
+   */
+  async recognizePage(page) {
+    const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(viewport.width);
+    canvas.height = Math.ceil(viewport.height);
+
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+
+    const worker = await this.getOCRWorker();
+    const { data } = await worker.recognize(canvas);
+
+    return this.alignOCRLines(data.lines).flatMap(row => row.words
+      .filter(word => word.text.trim())
+      .map(word => {
+        // Canvas pixels (origin top-left) back to PDF points (origin bottom-left)
+        const [x, y] = viewport.convertToPdfPoint(word.bbox.x0, row.baseline);
+        const [right] = viewport.convertToPdfPoint(word.bbox.x1, row.baseline);
+
+        return {
+          str: word.text,
+          transform: [1, 0, 0, 1, x, y],
+          width: right - x,
+          height: (word.bbox.y1 - word.bbox.y0) / OCR_RENDER_SCALE
+        };
+      }));
+  }
+
+  /**
+   * Tesseract reads widely spaced columns as separate blocks, so one printed row can come
+   * back as several lines a few pixels apart; lines whose baselines are within half a line
+   * height share one baseline so they group back into a single row
+   */
+  alignOCRLines(lines) {
+    const rows = [];
+    const sorted = [...lines].sort((a, b) => a.baseline.y0 - b.baseline.y0);
+
+    for (const line of sorted) {
+      const height = line.bbox.y1 - line.bbox.y0;
+      const row = rows.find(r => Math.abs(r.baseline - line.baseline.y0) <= height / 2);
+
+      if (row) {
+        row.words.push(...line.words);
+      } else {
+        rows.push({ baseline: line.baseline.y0, words: [...line.words] });
+      }
+    }
+
+    return rows;
+  }
+}
+
+new PDFTextReader();
@@ -1,8 +1,11 @@
 // RBC CSV Exporter Popup Script
+const COLLECTED_TRANSACTIONS_STORAGE_KEY = 'collectedTransactions';
+
 class PopupController {
   constructor() {
     this.currentTab = null;
     this.extractedTransactions = [];
+    this.exportMetadata = {};
     this.init();
   }
 
@@ -18,6 +21,11 @@ class PopupController {
     // Set up event listeners
     this.setupEventListeners();
 
+    // Fill in the export choices, then the saved export settings
+    this.renderFormatOptions();
+    await this.loadSettingsForm();
+    await this.setupTemplateEditor();
+
     // Check if we're on an RBC page
     await this.checkRBCPage();
   }
@@ -27,13 +35,15 @@ class PopupController {
     const downloadBtn = document.getElementById('download-btn');
     const refreshCountBtn = document.getElementById('refresh-count-btn');
     const detectPdfsBtn = document.getElementById('detect-pdfs-btn');
+    const formatSelect = document.getElementById('export-format');
+    const clearCollectedBtn = document.getElementById('clear-collected-btn');
 
     if (extractBtn) {
       extractBtn.addEventListener('click', () => this.extractTransactions());
     }
 
     if (downloadBtn) {
-      downloadBtn.addEventListener('click', () => this.downloadCSV());
+      downloadBtn.addEventListener('click', () => this.downloadTransactions());
     }
 
     if (refreshCountBtn) {
@@ -43,6 +53,214 @@ class PopupController {
     if (detectPdfsBtn) {
       detectPdfsBtn.addEventListener('click', () => this.detectAndShowPDFs());
     }
+
+    if (formatSelect) {
+      formatSelect.addEventListener('change', () => this.updatePresetVisibility());
+    }
+
+    if (clearCollectedBtn) {
+      clearCollectedBtn.addEventListener('click', () => this.clearCollectedResults());
+    }
+
+    // Saved statements can be imported from any page, including while logged out
+    document.querySelectorAll('.import-pdfs-btn').forEach(button => {
+      button.addEventListener('click', () => this.openImportPage());
+    });
+  }
+
+  openImportPage() {
+    chrome.tabs.create({ url: chrome.runtime.getURL('import.html') });
+    window.close();
+  }
+
+  /**
+   * Export formats and built-in CSV layouts come from their registries, so every export
+   * surface offers the same choices; saved templates are added by renderTemplateOptions
+   */
+  renderFormatOptions() {
+    const formatSelect = document.getElementById('export-format');
+    const presetSelect = document.getElementById('csv-preset');
+
+    if (formatSelect) {
+      formatSelect.innerHTML = Object.entries(EXPORT_FORMATS).map(([value, format]) =>
+        `<option value="${value}">${escapeXML(format.label)}</option>`).join('');
+    }
+
+    if (presetSelect) {
+      presetSelect.innerHTML = Object.entries(CSV_PRESETS).map(([value, preset]) =>
+        `<option value="${value}">${escapeXML(preset.label)}</option>`).join('');
+    }
+  }
+
+  async loadSettingsForm() {
+    const settings = await loadExportSettings();
+
+    document.querySelectorAll('[data-setting]').forEach(input => {
+      const key = input.getAttribute('data-setting');
+      if (input.type === 'checkbox') {
+        input.checked = Boolean(settings[key]);
+      } else {
+        input.value = settings[key] ?? '';
+      }
+
+      input.addEventListener('change', () => {
+        const value = input.type === 'checkbox' ? input.checked : input.value.trim();
+        saveExportSettings({ [key]: value }).catch(error => {
+          console.error('Error saving export settings:', error);
+        });
+      });
+    });
+  }
+
+  async setupTemplateEditor() {
+    const templateSelect = document.getElementById('template-select');
+    const saveBtn = document.getElementById('template-save-btn');
+    const deleteBtn = document.getElementById('template-delete-btn');
+    if (!templateSelect) return;
+
+    const settings = await loadExportSettings();
+    this.renderTemplateOptions(settings.csvTemplates, settings.csvPreset);
+    this.renderTemplateEditor(null);
+
+    templateSelect.addEventListener('change', async () => {
+      const { csvTemplates } = await loadExportSettings();
+      this.renderTemplateEditor(csvTemplates.find(t => t.id === templateSelect.value) || null);
+    });
+
+    if (saveBtn) {
+      saveBtn.addEventListener('click', () => this.saveTemplate());
+    }
+
+    if (deleteBtn) {
+      deleteBtn.addEventListener('click', () => this.deleteTemplate());
+    }
+  }
+
+  renderTemplateOptions(templates, selectedPreset) {
+    // Saved templates appear in the template editor and after the built-in CSV layouts
+    const templateSelect = document.getElementById('template-select');
+    const presetSelect = document.getElementById('csv-preset');
+
+    if (templateSelect) {
+      const editing = templateSelect.value;
+      templateSelect.innerHTML = '<option value="">New template…</option>' + templates.map(template =>
+        `<option value="${escapeXML(template.id)}">${escapeXML(template.name)}</option>`).join('');
+      templateSelect.value = templates.some(t => t.id === editing) ? editing : '';
+    }
+
+    if (presetSelect) {
+      presetSelect.querySelectorAll('option[value^="template:"]').forEach(option => option.remove());
+      templates.forEach(template => {
+        const option = document.createElement('option');
+        option.value = `template:${template.id}`;
+        option.textContent = template.name;
+        presetSelect.appendChild(option);
+      });
+      presetSelect.value = selectedPreset;
+      if (!presetSelect.value) presetSelect.value = 'standard';
+    }
+  }
+
+  renderTemplateEditor(template) {
+    const nameInput = document.getElementById('template-name');
+    const columnsDiv = document.getElementById('template-columns');
+    const keepEmptyInput = document.getElementById('template-keep-empty');
+
+    // Selected columns first, in template order, then the rest unchecked
+    const selected = template ? template.columns : Object.keys(CSV_COLUMN_LABELS).map(key => ({ key, label: '' }));
+    const remaining = Object.keys(CSV_TEMPLATE_FIELDS)
+      .filter(key => !selected.some(column => column.key === key))
+      .map(key => ({ key, label: '' }));
+
+    nameInput.value = template ? template.name : '';
+    keepEmptyInput.checked = template ? template.keepEmptyColumns : true;
+
+    columnsDiv.innerHTML = [
+      ...selected.map(column => ({ ...column, included: true })),
+      ...remaining.map(column => ({ ...column, included: false }))
+    ].map(column => `
+      <div class="template-column" data-key="${escapeXML(column.key)}">
+        <input type="checkbox" ${column.included ? 'checked' : ''} title="Include column">
+        <input type="text" value="${escapeXML(column.label || CSV_TEMPLATE_FIELDS[column.key] || column.key)}" title="Header label">
+        <button type="button" data-move="-1" title="Move up">▲</button>
+        <button type="button" data-move="1" title="Move down">▼</button>
+      </div>
+    `).join('');
+
+    columnsDiv.querySelectorAll('button[data-move]').forEach(button => {
+      button.addEventListener('click', () => {
+        const row = button.closest('.template-column');
+        if (button.getAttribute('data-move') === '-1' && row.previousElementSibling) {
+          columnsDiv.insertBefore(row, row.previousElementSibling);
+        } else if (button.getAttribute('data-move') === '1' && row.nextElementSibling) {
+          columnsDiv.insertBefore(row.nextElementSibling, row);
+        }
+      });
+    });
+  }
+
+  async saveTemplate() {
+    const templateSelect = document.getElementById('template-select');
+    const name = document.getElementById('template-name').value.trim();
+
+    const columns = Array.from(document.querySelectorAll('#template-columns .template-column'))
+      .filter(row => row.querySelector('input[type="checkbox"]').checked)
+      .map(row => ({
+        key: row.getAttribute('data-key'),
+        label: row.querySelector('input[type="text"]').value.trim()
+      }));
+
+    if (!name) {
+      this.showError('Please give the template a name');
+      return;
+    }
+
+    if (columns.length === 0) {
+      this.showError('Please pick at least one column');
+      return;
+    }
+
+    const template = {
+      id: templateSelect.value || Date.now().toString(36),
+      name,
+      columns,
+      keepEmptyColumns: document.getElementById('template-keep-empty').checked
+    };
+
+    try {
+      const { csvTemplates } = await loadExportSettings();
+      const templates = csvTemplates.some(t => t.id === template.id) ?
+        csvTemplates.map(t => t.id === template.id ? template : t) :
+        [...csvTemplates, template];
+
+      // Switch the CSV layout to the template that was just saved
+      const settings = await saveExportSettings({ csvTemplates: templates, csvPreset: `template:${template.id}` });
+      templateSelect.value = template.id;
+      this.renderTemplateOptions(settings.csvTemplates, settings.csvPreset);
+    } catch (error) {
+      console.error('Error saving CSV template:', error);
+      this.showError('Failed to save CSV template');
+    }
+  }
+
+  async deleteTemplate() {
+    const templateSelect = document.getElementById('template-select');
+    const id = templateSelect.value;
+    if (!id) return;
+
+    try {
+      const { csvTemplates, csvPreset } = await loadExportSettings();
+      const settings = await saveExportSettings({
+        csvTemplates: csvTemplates.filter(t => t.id !== id),
+        csvPreset: csvPreset === `template:${id}` ? 'standard' : csvPreset
+      });
+      templateSelect.value = '';
+      this.renderTemplateOptions(settings.csvTemplates, settings.csvPreset);
+      this.renderTemplateEditor(null);
+    } catch (error) {
+      console.error('Error deleting CSV template:', error);
+      this.showError('Failed to delete CSV template');
+    }
   }
 
   async checkRBCPage() {
@@ -204,8 +422,14 @@ class PopupController {
       }
 
       if (response && response.success) {
-        this.extractedTransactions = response.transactions;
-        this.showResults(response.count);
+        this.exportMetadata = {
+          source: 'web',
+          accountInfo: response.accountInfo || {},
+          extractedAt: response.extractedAt,
+          extractionMethod: response.extractionMethod
+        };
+        const duplicates = await this.collectResults(response.transactions);
+        this.showResults(this.extractedTransactions.length, duplicates);
         
         if (response.count > 0) {
           extractBtn.innerHTML = '<span class="btn-icon">✅</span> Extraction Complete';
@@ -231,84 +455,41 @@ class PopupController {
     }
   }
 
-  showResults(count) {
+  updatePresetVisibility() {
+    // CSV layouts only apply to the CSV format
+    const format = document.getElementById('export-format')?.value;
+    const presetOptions = document.getElementById('preset-options');
+
+    if (presetOptions) {
+      presetOptions.style.display = format === 'csv' ? 'flex' : 'none';
+    }
+  }
+
+  showResults(count, duplicates = 0) {
     const resultsSection = document.getElementById('results-section');
     const transactionCount = document.getElementById('transaction-count');
+    const duplicateCount = document.getElementById('duplicate-count');
     const downloadBtn = document.getElementById('download-btn');
+    const downloadOptions = document.getElementById('download-options');
 
     if (transactionCount) {
       transactionCount.textContent = count;
     }
 
-    if (count > 0 && downloadBtn) {
-      downloadBtn.style.display = 'block';
+    if (duplicateCount) {
+      duplicateCount.textContent = duplicates > 0 ? ` (${duplicates} duplicates of earlier results removed)` : '';
     }
 
-    resultsSection.style.display = 'block';
-  }
-
-  downloadCSV() {
-    if (this.extractedTransactions.length === 0) {
-      this.showError('No transactions to download');
-      return;
+    if (count > 0 && downloadBtn) {
+      downloadBtn.style.display = 'block';
     }
 
-    try {
-      const csv = this.convertToCSV(this.extractedTransactions);
-      const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-      const url = URL.createObjectURL(blob);
-      
-      // Create download link
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = `rbc_transactions_${new Date().toISOString().split('T')[0]}.csv`;
-      
-      // Trigger download
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      
-      // Clean up
-      URL.revokeObjectURL(url);
-
-      // Update button to show success
-      const downloadBtn = document.getElementById('download-btn');
-      if (downloadBtn) {
-        const originalText = downloadBtn.innerHTML;
-        downloadBtn.innerHTML = '<span class="btn-icon">✅</span> Downloaded!';
-        setTimeout(() => {
-          downloadBtn.innerHTML = originalText;
-        }, 2000);
-      }
-
-    } catch (error) {
-      console.error('Error downloading CSV:', error);
-      this.showError('Failed to download CSV file');
+    if (count > 0 && downloadOptions) {
+      downloadOptions.style.display = 'flex';
+      this.updatePresetVisibility();
     }
-  }
-
-  convertToCSV(transactions) {
-    if (transactions.length === 0) return '';
-
-    // Get all unique keys from transactions
-    const headers = [...new Set(transactions.flatMap(t => Object.keys(t)))];
-    
-    // Create CSV header
-    const csvHeaders = headers.join(',');
-    
-    // Create CSV rows
-    const csvRows = transactions.map(transaction => {
-      return headers.map(header => {
-        const value = transaction[header] || '';
-        // Escape quotes and wrap in quotes if contains comma or quotes
-        if (value.includes(',') || value.includes('"') || value.includes('\n')) {
-          return `"${value.replace(/"/g, '""')}"`;
-        }
-        return value;
-      }).join(',');
-    });
 
-    return [csvHeaders, ...csvRows].join('\n');
+    resultsSection.style.display = 'block';
   }
 
   async refreshTransactionCount() {
@@ -420,26 +601,236 @@ class PopupController {
     const pdfSection = document.getElementById('pdf-section');
     const pdfList = document.getElementById('pdf-list');
 
+    const batchActions = document.getElementById('pdf-batch-actions');
+
     if (pdfs.length === 0) {
       pdfList.innerHTML = '<p class="no-pdfs">No PDF statements found on this page.</p>';
     } else {
       pdfList.innerHTML = pdfs.map((pdf, index) => `
         <div class="pdf-item" data-index="${index}">
+          <input type="checkbox" class="pdf-select" title="Select for batch processing">
           <div class="pdf-info">
-            <span class="pdf-name">${pdf.text}</span>
-            <span class="pdf-url">${pdf.url}</span>
+            <span class="pdf-name">${escapeXML(pdf.text)}</span>
+            <span class="pdf-url">${escapeXML(pdf.url)}</span>
+            <span class="pdf-item-status"></span>
           </div>
-          <button class="process-pdf-btn" onclick="popupController.processPDF(${index})">
+          <button class="process-pdf-btn">
             <span class="btn-icon">📄</span>
             Process PDF
           </button>
         </div>
       `).join('');
+
+      pdfList.querySelectorAll('.process-pdf-btn').forEach((button, index) => {
+        button.addEventListener('click', () => this.processPDF(index));
+      });
+    }
+
+    if (batchActions && !batchActions.dataset.bound) {
+      batchActions.dataset.bound = 'true';
+      document.getElementById('process-selected-btn').addEventListener('click', () => {
+        const selected = Array.from(document.querySelectorAll('.pdf-item'))
+          .filter(item => item.querySelector('.pdf-select').checked)
+          .map(item => Number(item.getAttribute('data-index')));
+        this.processPDFBatch(selected);
+      });
+      document.getElementById('process-all-btn').addEventListener('click', () => {
+        this.processPDFBatch(Array.from(document.querySelectorAll('.pdf-item'), (item, index) => index));
+      });
+    }
+
+    if (batchActions) {
+      batchActions.style.display = pdfs.length > 1 ? 'flex' : 'none';
+    }
+
+    const archive = document.getElementById('pdf-archive');
+    if (archive && !archive.dataset.bound) {
+      archive.dataset.bound = 'true';
+      document.getElementById('archive-btn').addEventListener('click', () => this.archiveStatements());
+    }
+
+    if (archive) {
+      archive.style.display = pdfs.length > 0 ? 'flex' : 'none';
     }
 
     pdfSection.style.display = 'block';
   }
 
+  /**
+   * Ask the content script to download and parse one detected statement
+   * The page fetches the PDF so the bank's session applies
+   */
+  async requestPDFProcessing(pdfName, pdfUrl) {
+    const response = await chrome.tabs.sendMessage(this.currentTab.id, {
+      action: 'processPDF',
+      pdfUrl: pdfUrl,
+      filename: `${pdfName.replace(/[^a-zA-Z0-9]/g, '_')}.pdf`
+    });
+
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Failed to process PDF');
+    }
+
+    return response;
+  }
+
+  /**
+   * Process several detected statements in turn and merge them into one dataset
+   * Rows repeated by overlapping statement periods are dropped (see mergeStatements)
+   */
+  async processPDFBatch(pdfIndexes) {
+    if (!this.currentTab) {
+      this.showError('No active tab found');
+      return;
+    }
+
+    if (pdfIndexes.length === 0) {
+      this.showError('Select at least one PDF to process');
+      return;
+    }
+
+    const pdfItems = document.querySelectorAll('.pdf-item');
+    const queue = pdfIndexes.map(index => pdfItems[index]).filter(Boolean);
+    const statusDiv = document.getElementById('pdf-processing-status');
+    const statusText = document.getElementById('pdf-status-text');
+    const batchButtons = document.querySelectorAll('#pdf-batch-actions button, .process-pdf-btn');
+    const results = [];
+    let failed = 0;
+
+    batchButtons.forEach(button => { button.disabled = true; });
+    queue.forEach(item => { item.querySelector('.pdf-item-status').textContent = 'Queued'; });
+    statusDiv.style.display = 'block';
+    this.showReconciliation(null);
+
+    try {
+      for (const [position, pdfItem] of queue.entries()) {
+        const pdfName = pdfItem.querySelector('.pdf-name').textContent;
+        const pdfUrl = pdfItem.querySelector('.pdf-url').textContent;
+        const itemStatus = pdfItem.querySelector('.pdf-item-status');
+
+        statusText.textContent = `Processing ${position + 1} of ${queue.length}: ${pdfName}...`;
+        itemStatus.textContent = '⏳ Processing...';
+
+        try {
+          const response = await this.requestPDFProcessing(pdfName, pdfUrl);
+          const reconciliation = response.statement && response.statement.reconciliation;
+          results.push({ name: pdfName, transactions: response.transactions, period: response.statement?.period });
+
+          itemStatus.textContent = `✅ ${response.count} transactions` +
+            (reconciliation && reconciliation.status !== 'unavailable' ?
+              ` · ${reconciliation.status === 'pass' ? 'reconciled' : '❌ does not reconcile'}` :
+              '');
+        } catch (error) {
+          console.error(`Error processing ${pdfName}:`, error);
+          itemStatus.textContent = `❌ ${error.message}`;
+          failed++;
+        }
+      }
+
+      // Nothing came through: keep whatever was extracted before
+      if (results.length === 0) {
+        statusText.textContent = `❌ None of the ${queue.length} statements could be processed`;
+        return;
+      }
+
+      const merged = mergeStatements(results);
+      const periods = results.map(result => result.period).filter(Boolean);
+
+      this.exportMetadata = {
+        source: 'pdf',
+        accountInfo: periods.length > 0 ? {
+          dateRange: `${periods.map(p => p.start).sort()[0]} to ${periods.map(p => p.end).sort().pop()}`
+        } : {},
+        extractedAt: new Date().toISOString(),
+        extractionMethod: 'pdf'
+      };
+      const duplicates = await this.collectResults(merged.transactions);
+      this.showResults(this.extractedTransactions.length, duplicates);
+      document.getElementById('download-btn')?.setAttribute('data-source', 'pdf');
+
+      statusText.textContent = `✅ ${merged.transactions.length} transactions from ${results.length} statements` +
+        (merged.duplicates > 0 ? `, ${merged.duplicates} duplicates removed` : '') +
+        (failed > 0 ? ` (❌ ${failed} failed)` : '');
+    } finally {
+      batchButtons.forEach(button => { button.disabled = false; });
+    }
+  }
+
+  /**
+   * Save every detected statement whose period ends in the chosen months to the Downloads
+   * folder, named from the statement-downloads template; files already saved are skipped
+   */
+  async archiveStatements() {
+    if (!this.currentTab) {
+      this.showError('No active tab found');
+      return;
+    }
+
+    const range = {
+      from: document.getElementById('archive-from').value,
+      to: document.getElementById('archive-to').value
+    };
+
+    if (range.from && range.to && range.from > range.to) {
+      this.showError('The start month is after the end month');
+      return;
+    }
+
+    const { statementFilenameTemplate } = await loadExportSettings();
+    const pdfItems = Array.from(document.querySelectorAll('.pdf-item'));
+    const statusDiv = document.getElementById('pdf-processing-status');
+    const statusText = document.getElementById('pdf-status-text');
+    const buttons = document.querySelectorAll('#pdf-section button');
+    const counts = { downloaded: 0, exists: 0, outOfRange: 0, failed: 0 };
+
+    buttons.forEach(button => { button.disabled = true; });
+    pdfItems.forEach(item => { item.querySelector('.pdf-item-status').textContent = 'Queued'; });
+    statusDiv.style.display = 'block';
+    this.showReconciliation(null);
+
+    try {
+      for (const [position, pdfItem] of pdfItems.entries()) {
+        const pdfName = pdfItem.querySelector('.pdf-name').textContent;
+        const itemStatus = pdfItem.querySelector('.pdf-item-status');
+
+        statusText.textContent = `Checking ${position + 1} of ${pdfItems.length}: ${pdfName}...`;
+        itemStatus.textContent = '⏳ Checking...';
+
+        const response = await chrome.tabs.sendMessage(this.currentTab.id, {
+          action: 'archiveStatement',
+          pdfUrl: pdfItem.querySelector('.pdf-url').textContent,
+          range,
+          template: statementFilenameTemplate
+        }).catch(error => ({ success: false, error: error.message }));
+
+        if (!response || !response.success) {
+          counts.failed++;
+          itemStatus.textContent = `❌ ${response?.error || 'Failed to download statement'}`;
+          continue;
+        }
+
+        counts[response.status]++;
+        switch (response.status) {
+          case 'downloaded':
+            itemStatus.textContent = `✅ Saved as ${response.filename}`;
+            break;
+          case 'exists':
+            itemStatus.textContent = `Already downloaded (${response.filename})`;
+            break;
+          default:
+            itemStatus.textContent = `Skipped: ${response.period.start} to ${response.period.end} is outside the range`;
+        }
+      }
+
+      statusText.textContent = `✅ ${counts.downloaded} statements downloaded` +
+        (counts.exists > 0 ? `, ${counts.exists} already downloaded` : '') +
+        (counts.outOfRange > 0 ? `, ${counts.outOfRange} outside the range` : '') +
+        (counts.failed > 0 ? ` (❌ ${counts.failed} failed)` : '');
+    } finally {
+      buttons.forEach(button => { button.disabled = false; });
+    }
+  }
+
   async processPDF(pdfIndex) {
     if (!this.currentTab) {
       this.showError('No active tab found');
@@ -467,28 +858,38 @@ class PopupController {
       processBtn.innerHTML = '<span class="btn-icon">⏳</span> Processing...';
       statusDiv.style.display = 'block';
       statusText.textContent = `Processing ${pdfName}...`;
+      this.showReconciliation(null);
 
       // Send message to content script to process PDF
-      const response = await chrome.tabs.sendMessage(this.currentTab.id, {
-        action: 'processPDF',
-        pdfUrl: pdfUrl,
-        filename: `${pdfName.replace(/[^a-zA-Z0-9]/g, '_')}.pdf`
-      });
-
-      if (response && response.success) {
-        this.extractedTransactions = response.transactions;
-        this.showResults(response.count);
-
-        statusText.textContent = `✅ Processed ${response.count} transactions from ${pdfName}`;
-        processBtn.innerHTML = '<span class="btn-icon">✅</span> Processed';
+      const response = await this.requestPDFProcessing(pdfName, pdfUrl);
+
+      this.exportMetadata = {
+        source: 'pdf',
+        accountInfo: response.accountInfo || {},
+        extractedAt: response.extractedAt,
+        extractionMethod: response.extractionMethod
+      };
+      const duplicates = await this.collectResults(response.transactions);
+      this.showResults(this.extractedTransactions.length, duplicates);
+
+      statusText.textContent = `✅ Processed ${response.count} transactions from ${pdfName}`;
+
+      // Rows dated outside the statement period usually mean a misread date
+      const outOfPeriod = response.transactions.filter(t => t.outOfPeriod).length;
+      if (outOfPeriod > 0) {
+        statusText.textContent += ` (⚠️ ${outOfPeriod} dated outside the statement period)`;
+      }
+      // OCR can misread digits; the reconciliation below is the check on them
+      if (response.statement && response.statement.ocrPages > 0) {
+        statusText.textContent += ` (🔍 ${response.statement.ocrPages} scanned pages read with OCR)`;
+      }
+      this.showReconciliation(response.statement && response.statement.reconciliation);
+      processBtn.innerHTML = '<span class="btn-icon">✅</span> Processed';
 
-        // Update the download button to indicate PDF source
-        const downloadBtn = document.getElementById('download-btn');
-        if (downloadBtn) {
-          downloadBtn.setAttribute('data-source', 'pdf');
-        }
-      } else {
-        throw new Error(response?.error || 'Failed to process PDF');
+      // Update the download button to indicate PDF source
+      const downloadBtn = document.getElementById('download-btn');
+      if (downloadBtn) {
+        downloadBtn.setAttribute('data-source', 'pdf');
       }
 
     } catch (error) {
@@ -504,7 +905,93 @@ class PopupController {
     }
   }
 
-  downloadCSV() {
+  /**
+   * Make freshly extracted transactions the results to download
+   * With combineWithEarlierResults on they are added to the results collected so far (from the
+   * page, PDF statements and earlier sessions), keeping the earlier copy of any transaction
+   * extracted twice; returns the number of duplicates dropped
+   */
+  async collectResults(transactions) {
+    const settings = await loadExportSettings();
+    if (!settings.combineWithEarlierResults) {
+      this.extractedTransactions = assignTransactionIds(transactions);
+      return 0;
+    }
+
+    // Once sources are mixed, each row has to remember where it came from
+    const source = this.exportMetadata.source === 'pdf' ? 'PDF' : 'Web';
+    const stamped = transactions.map(transaction => ({ ...transaction, source: transaction.source || source }));
+
+    let earlier = [];
+    try {
+      const stored = await chrome.storage.local.get(COLLECTED_TRANSACTIONS_STORAGE_KEY);
+      earlier = stored[COLLECTED_TRANSACTIONS_STORAGE_KEY] || [];
+    } catch (error) {
+      console.error('Error loading collected transactions:', error);
+    }
+
+    const merged = dedupeTransactions([earlier, stamped]);
+    this.extractedTransactions = merged.transactions;
+
+    if (earlier.length > 0) {
+      this.exportMetadata = { ...this.exportMetadata, accountInfo: {}, extractionMethod: 'combined' };
+    }
+
+    try {
+      await chrome.storage.local.set({ [COLLECTED_TRANSACTIONS_STORAGE_KEY]: merged.transactions });
+    } catch (error) {
+      console.error('Error saving collected transactions:', error);
+    }
+
+    return merged.duplicates;
+  }
+
+  async clearCollectedResults() {
+    try {
+      await chrome.storage.local.remove(COLLECTED_TRANSACTIONS_STORAGE_KEY);
+      const clearBtn = document.getElementById('clear-collected-btn');
+      if (clearBtn) {
+        clearBtn.textContent = '✅ Earlier results forgotten';
+        setTimeout(() => { clearBtn.textContent = 'Forget earlier results'; }, 2000);
+      }
+    } catch (error) {
+      console.error('Error clearing collected transactions:', error);
+      this.showError('Could not clear earlier results');
+    }
+  }
+
+  /**
+   * Show whether the statement's opening/closing balances and totals match the extracted rows
+   */
+  showReconciliation(reconciliation) {
+    const container = document.getElementById('pdf-reconciliation');
+    if (!container) return;
+
+    if (!reconciliation) {
+      container.style.display = 'none';
+      return;
+    }
+
+    const description = describeReconciliation(reconciliation);
+    container.className = `pdf-reconciliation ${description.status}`;
+    container.innerHTML = '';
+
+    const result = document.createElement('div');
+    result.className = 'reconciliation-result';
+    result.textContent = description.title;
+    container.appendChild(result);
+
+    for (const text of description.checks) {
+      const row = document.createElement('div');
+      row.className = 'reconciliation-check';
+      row.textContent = text;
+      container.appendChild(row);
+    }
+
+    container.style.display = 'block';
+  }
+
+  async downloadTransactions() {
     if (this.extractedTransactions.length === 0) {
       this.showError('No transactions to download');
       return;
@@ -512,22 +999,9 @@ class PopupController {
 
     try {
       const source = document.getElementById('download-btn')?.getAttribute('data-source') || 'web';
-      const csv = this.convertToCSV(this.extractedTransactions);
-      const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-      const url = URL.createObjectURL(blob);
-
-      // Create download link
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = `rbc_transactions_${source}_${new Date().toISOString().split('T')[0]}.csv`;
-
-      // Trigger download
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-
-      // Clean up
-      URL.revokeObjectURL(url);
+      const format = document.getElementById('export-format')?.value || 'csv';
+      const settings = await loadExportSettings();
+      downloadTransactions(this.extractedTransactions, format, { ...this.exportMetadata, source }, settings);
 
       // Update button to show success
       const downloadBtn = document.getElementById('download-btn');
@@ -540,8 +1014,8 @@ class PopupController {
       }
 
     } catch (error) {
-      console.error('Error downloading CSV:', error);
-      this.showError('Failed to download CSV file');
+      console.error('Error downloading transactions:', error);
+      this.showError('Failed to download export file');
     }
   }
 
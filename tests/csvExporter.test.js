@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+const exporter = loadScripts(['js/utils.js', 'js/settings.js', 'js/csvExporter.js']);
+
+const row = (account, accountType, description, cents) => ({
+  isoDate: '2025-01-05',
+  account,
+  accountType,
+  description,
+  amountMoney: { cents, currency: 'CAD' }
+});
+
+const count = (text, tag) => text.split(tag).length - 1;
+
+test('convertToOFX writes one statement per account', () => {
+  const ofx = exporter.convertToOFX([
+    row('Chequing ****1234', 'debit', 'RENT', -150000),
+    row('Savings ****5678', 'debit', 'INTEREST', 125),
+    row('Visa ****9012', 'credit', 'COFFEE', -300)
+  ]);
+
+  assert.strictEqual(count(ofx, '<STMTRS>'), 2);
+  assert.strictEqual(count(ofx, '<CCSTMTRS>'), 1);
+  assert.match(ofx, /<ACCTID>1234<\/ACCTID>\n<ACCTTYPE>CHECKING<\/ACCTTYPE>/);
+  assert.match(ofx, /<ACCTID>5678<\/ACCTID>\n<ACCTTYPE>SAVINGS<\/ACCTTYPE>/);
+  assert.match(ofx, /<CCACCTFROM>\n<ACCTID>9012<\/ACCTID>/);
+  assert.ok(ofx.indexOf('</BANKMSGSRSV1>') < ofx.indexOf('<CREDITCARDMSGSRSV1>'));
+});
+
+test('convertToOFX keeps card rows apart from chequing rows of an unlabelled export', () => {
+  const ofx = exporter.convertToOFX([
+    row('', 'debit', 'RENT', -150000),
+    row('', 'credit', 'COFFEE', -300)
+  ], { accountNumber: '01234-5678901' });
+
+  assert.strictEqual(count(ofx, '<STMTTRN>'), 2);
+  assert.strictEqual(count(ofx, '<STMTRS>'), 1);
+  assert.strictEqual(count(ofx, '<CCSTMTRS>'), 1);
+  assert.strictEqual(count(ofx, '<ACCTID>012345678901</ACCTID>'), 2);
+});
+
+test('standard and template CSVs write every money column as a plain decimal', () => {
+  const settings = { ...exporter.evaluate('DEFAULT_EXPORT_SETTINGS'), dateFormat: 'YYYY-MM-DD' };
+  const rows = [{
+    date: '05/01/2025',
+    isoDate: '2025-01-05',
+    description: 'RENT',
+    amountMoney: { cents: -150000, currency: 'CAD' },
+    balanceMoney: { cents: 123456, currency: 'CAD' }
+  }];
+
+  const standard = exporter.convertToCSV(rows, settings).split('\n');
+  assert.strictEqual(standard[1], '"2025-01-05",RENT,-1500.00,1234.56');
+
+  const template = exporter.convertToTemplateCSV(rows, {
+    columns: [{ key: 'withdrawal' }, { key: 'deposit' }, { key: 'balance' }],
+    keepEmptyColumns: true
+  }, settings).split('\n');
+  assert.strictEqual(template[1], '1500.00,,1234.56');
+});
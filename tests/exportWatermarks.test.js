@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, plain } = require('./loadScripts');
+
+const watermarks = loadScripts(['js/utils.js', 'js/exportWatermarks.js']);
+
+const row = (isoDate, description, cents) => ({ isoDate, description, amountMoney: { cents, currency: 'CAD' } });
+
+test('buildExportWatermark remembers every row on the newest date', () => {
+  const watermark = watermarks.buildExportWatermark([
+    row('2025-01-04', 'RENT', -150000),
+    row('2025-01-05', 'COFFEE', -300),
+    row('2025-01-05', 'COFFEE', -300)
+  ]);
+
+  assert.strictEqual(watermark.date, '2025-01-05');
+  assert.strictEqual(watermark.fingerprints.length, 2);
+  assert.strictEqual(watermarks.buildExportWatermark([{ description: 'undated' }]), null);
+});
+
+test('filterNewTransactions keeps later rows and extra copies on the watermark date', () => {
+  const watermark = watermarks.buildExportWatermark([row('2025-01-05', 'COFFEE', -300)]);
+  const fresh = watermarks.filterNewTransactions([
+    row('2025-01-06', 'LUNCH', -1500),
+    row('2025-01-05', 'COFFEE', -300),
+    row('2025-01-05', 'COFFEE', -300),
+    row('2025-01-04', 'RENT', -150000)
+  ], watermark);
+
+  assert.deepStrictEqual(plain(fresh.map(t => `${t.isoDate} ${t.description}`)), ['2025-01-06 LUNCH', '2025-01-05 COFFEE']);
+  assert.strictEqual(watermarks.filterNewTransactions([row('2025-01-01', 'X', 1)], null).length, 1);
+});
+
+test('isCompleteLoad only accepts loads that reached the last export', () => {
+  assert.strictEqual(watermarks.isCompleteLoad({ cancelled: true, reachedEnd: true }, false), false);
+  assert.strictEqual(watermarks.isCompleteLoad({ cancelled: false, reachedEnd: false }, false), true);
+  assert.strictEqual(watermarks.isCompleteLoad({ cancelled: false, reachedEnd: false }, true), false);
+  assert.strictEqual(watermarks.isCompleteLoad({ cancelled: false, reachedEnd: true }, true), true);
+});
+
+test('a cancelled new-only extraction does not move the watermark', async () => {
+  const stored = { exportWatermarks: { chequing: watermarks.buildExportWatermark([row('2025-01-05', 'COFFEE', -300)]) } };
+  const extractor = loadScripts(['js/utils.js', 'js/exportWatermarks.js', 'js/transactionExtractor.js'], {
+    document: { getElementById: () => null },
+    setTimeout: () => {},
+    chrome: { storage: { local: { get: async () => stored } } }
+  });
+
+  const uiManager = new Proxy({}, { get: () => () => {} });
+  const run = async loading => {
+    const fake = {
+      uiManager,
+      getAccountKey: () => 'chequing',
+      hasReachedWatermark: () => false,
+      extractTransactionsWithProgress: async () => ({
+        success: true,
+        transactions: [row('2025-01-07', 'LUNCH', -1500)],
+        count: 1,
+        ...loading
+      })
+    };
+    await extractor.evaluate('RBCTransactionExtractor').prototype.handlePopupExtract.call(fake, { newOnly: true });
+    return fake;
+  };
+
+  assert.strictEqual((await run({ cancelled: true, reachedEnd: false })).pendingWatermark, null);
+  assert.strictEqual((await run({ cancelled: false, reachedEnd: false })).pendingWatermark, null);
+  assert.strictEqual((await run({ cancelled: false, reachedEnd: true })).pendingWatermark.accountKey, 'chequing');
+});
@@ -0,0 +1,35 @@
+// Test helper for RBC CSV Exporter
+// The extension's scripts share one global scope (see manifest.json), so tests load them
+// into a fresh VM context in the same order instead of requiring them as modules
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const quietConsole = { log() {}, info() {}, warn() {}, error() {} };
+
+/**
+ * Run the given scripts (paths from the repository root) in a new context
+ * Function declarations become properties of the returned context; read consts and
+ * classes with context.evaluate('NAME')
+ */
+function loadScripts(files, globals = {}) {
+  const context = vm.createContext({ console: quietConsole, URL, URLSearchParams, ...globals });
+
+  for (const file of files) {
+    const source = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+    vm.runInContext(source, context, { filename: file });
+  }
+
+  context.evaluate = code => vm.runInContext(code, context);
+  return context;
+}
+
+/**
+ * Copy a value out of a VM context, so deepStrictEqual does not trip over its prototypes
+ */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadScripts, plain };
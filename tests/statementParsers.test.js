@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, plain } = require('./loadScripts');
+
+const parsers = loadScripts(['js/utils.js', 'js/statementParsers.js', 'js/pdfProcessor.js']);
+const bankParser = parsers.evaluate('STATEMENT_PARSERS.find(parser => parser.type === "chequing")');
+
+/**
+ * Text items as PDF.js returns them: one line per entry, top of the page first
+ */
+function pageOf(lines) {
+  return {
+    items: lines.map((str, index) => ({ str, transform: [1, 0, 0, 1, 50, 700 - index * 20], width: str.length * 5 }))
+  };
+}
+
+test('parseStatementPeriod reads the period printed on page 1', () => {
+  assert.deepStrictEqual(
+    plain(parsers.parseStatementPeriod('From December 15, 2024 to January 14, 2025')),
+    { start: '2024-12-15', end: '2025-01-14' }
+  );
+  assert.strictEqual(parsers.parseStatementPeriod('No period here'), null);
+});
+
+test('parseStatementPeriod gives a start printed without a year the year of the end', () => {
+  assert.deepStrictEqual(
+    plain(parsers.parseStatementPeriod('STATEMENT FROM DEC 15 TO JAN 14, 2025')),
+    { start: '2024-12-15', end: '2025-01-14' }
+  );
+  assert.deepStrictEqual(
+    plain(parsers.parseStatementPeriod('From March 3 to April 2, 2025')),
+    { start: '2025-03-03', end: '2025-04-02' }
+  );
+});
+
+test('resolveStatementDate gives month-day dates the year inside the period', () => {
+  const period = { start: '2024-12-15', end: '2025-01-14' };
+  assert.strictEqual(parsers.resolveStatementDate('DEC 20', period), '2024-12-20');
+  assert.strictEqual(parsers.resolveStatementDate('JAN 05', period), '2025-01-05');
+  assert.strictEqual(parsers.resolveStatementDate('05 JAN', period), '2025-01-05');
+  // Outside the period: the year that puts it closest wins
+  assert.strictEqual(parsers.resolveStatementDate('DEC 10', period), '2024-12-10');
+  assert.strictEqual(parsers.resolveStatementDate('JAN 05', null), 'JAN 05');
+});
+
+test('parseBankStatementLine reads dollar signs and thousands separators', () => {
+  const context = { parser: bankParser, period: null };
+  const read = text => {
+    const transaction = parsers.parseBankStatementLine(text, context);
+    return transaction && [transaction.isoDate, transaction.description, transaction.amountMoney.cents];
+  };
+
+  assert.deepStrictEqual(plain(read('Dec 20, 2024 Coffee shop $4.50')), ['2024-12-20', 'Coffee shop', 450]);
+  assert.deepStrictEqual(plain(read('01/02/2025 Payroll deposit $1,234.56')), ['2025-01-02', 'Payroll deposit', 123456]);
+  assert.deepStrictEqual(plain(read('01/02/2025 -$1,234.56 Rent')), ['2025-01-02', 'Rent', -123456]);
+  assert.deepStrictEqual(plain(read('Rent 01/02/2025 $ 12.00')), ['2025-01-02', 'Rent', 1200]);
+  assert.strictEqual(read('Nothing to see here'), null);
+});
+
+test('parseFXDetails reads foreign exchange continuation lines', () => {
+  assert.deepStrictEqual(plain(parsers.parseFXDetails('USD 45.00 @ 1.3621')), { currency: 'USD', amount: '45.00', rate: '1.3621' });
+  assert.deepStrictEqual(
+    plain(parsers.parseFXDetails('Foreign Currency-USD 1,045.00 Exchange rate-1.3621')),
+    { currency: 'USD', amount: '1045.00', rate: '1.3621' }
+  );
+  assert.strictEqual(parsers.parseFXDetails('fee 2.50 @ store'), null);
+});
+
+test('reconcileStatement passes when the rows account for the balances', () => {
+  const rows = [{ amountMoney: { cents: 100000 } }, { amountMoney: { cents: -4450 } }];
+  const summary = { opening: 0, closing: 95550, deposits: 100000, withdrawals: -4450 };
+
+  assert.strictEqual(parsers.reconcileStatement(summary, rows, bankParser).status, 'pass');
+  assert.strictEqual(parsers.reconcileStatement({ ...summary, closing: 99550 }, rows, bankParser).status, 'fail');
+  assert.strictEqual(parsers.reconcileStatement({}, rows, bankParser).status, 'unavailable');
+});
+
+test('balance lines feed reconciliation and never become transactions', () => {
+  const processor = parsers.evaluate('new PDFProcessor()');
+  const context = processor.createParseContext(pageOf(['Your account statement']));
+  const transactions = processor.parsePDFPage(pageOf([
+    'Opening balance on December 15, 2024 $0.00',
+    'Dec 20, 2024 Payroll deposit $1,000.00',
+    'Dec 22, 2024 Coffee shop -$4.50',
+    'Closing balance on January 14, 2025 $995.50'
+  ]), 1, context);
+
+  assert.deepStrictEqual(plain(transactions.map(t => t.amountMoney.cents)), [100000, -450]);
+  assert.deepStrictEqual(plain(context.summary), { opening: 0, closing: 99550 });
+  assert.strictEqual(parsers.reconcileStatement(context.summary, transactions, context.parser).status, 'pass');
+});
+
+test('a row cut off by a page break continues on the next page without a table header', () => {
+  const processor = parsers.evaluate('new PDFProcessor()');
+  const context = processor.createParseContext(pageOf(['Your account statement']));
+  const first = processor.parsePDFPage(pageOf([
+    'Dec 20, 2024 Payroll deposit $1,000.00',
+    'Dec 22, 2024 Interac purchase -$4.50'
+  ]), 1, context);
+  const second = processor.parsePDFPage(pageOf([
+    'Page 2 of 2',
+    'STARBUCKS TORONTO ON',
+    'Dec 23, 2024 Coffee shop -$3.00',
+    'Thank you for banking with RBC'
+  ]), 2, context);
+
+  assert.strictEqual(first[1].description, 'Interac purchase STARBUCKS TORONTO ON');
+  assert.deepStrictEqual(plain(second.map(t => t.description)), ['Coffee shop']);
+});
+
+test('mergeStatements drops rows repeated by overlapping statements', () => {
+  const row = { isoDate: '2025-01-05', description: 'COFFEE', amountMoney: { cents: -300 } };
+  const merged = parsers.mergeStatements([
+    { name: 'dec.pdf', transactions: [row] },
+    { name: 'jan.pdf', transactions: [row, { ...row }] }
+  ]);
+
+  assert.strictEqual(merged.duplicates, 1);
+  assert.deepStrictEqual(plain(merged.transactions.map(t => t.statementFile)), ['dec.pdf', 'jan.pdf']);
+});
+
+test('formatStatementFilename fills in tokens and keeps the path inside Downloads', () => {
+  const details = { account: '5678', type: 'chequing', period: { start: '2024-12-15', end: '2025-01-14' } };
+
+  assert.strictEqual(parsers.formatStatementFilename('RBC/{account}/{YYYY-MM}_statement.pdf', details), 'RBC/5678/2025-01_statement.pdf');
+  assert.strictEqual(parsers.formatStatementFilename('../{type}/{YYYY}/{MM}', details), 'chequing/2025/01.pdf');
+  assert.strictEqual(parsers.formatStatementFilename('{account}', { type: 'card', period: null }), 'card.pdf');
+});
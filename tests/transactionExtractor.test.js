@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+/**
+ * Call isAccountPage for a link while the page is at the given address
+ */
+function isAccountPage(href, url) {
+  const scripts = loadScripts(['js/utils.js', 'js/transactionExtractor.js'], { window: { location: { href } } });
+  const Extractor = scripts.evaluate('RBCTransactionExtractor');
+  const fake = { hashRouteOf: Extractor.prototype.hashRouteOf };
+  return Extractor.prototype.isAccountPage.call(fake, { url });
+}
+
+test('isAccountPage compares path and query parameters', () => {
+  const base = 'https://www1.royalbank.com/sgw1/olb/index-en/';
+  assert.strictEqual(isAccountPage(`${base}?acct=1&lang=en`, `${base}?acct=1`), true);
+  assert.strictEqual(isAccountPage(`${base}?acct=2`, `${base}?acct=1`), false);
+  assert.strictEqual(isAccountPage(`${base}#/summary`, base), true, 'a link without a fragment ignores it');
+});
+
+test('isAccountPage tells hash-routed account views apart', () => {
+  const base = 'https://www1.royalbank.com/sgw1/olb/index-en/';
+  assert.strictEqual(isAccountPage(`${base}#/summary`, `${base}#/details/chequing?id=1`), false);
+  assert.strictEqual(isAccountPage(`${base}#/details/chequing?id=2`, `${base}#/details/chequing?id=1`), false);
+  assert.strictEqual(isAccountPage(`${base}#!/details/chequing/?id=1&tab=all`, `${base}#/details/chequing?id=1`), true);
+});
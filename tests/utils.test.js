@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, plain } = require('./loadScripts');
+
+const utils = loadScripts(['js/utils.js']);
+
+test('parseMoney reads signs, separators and currencies into cents', () => {
+  assert.deepStrictEqual(plain(utils.parseMoney('$1,234.56')), { cents: 123456, currency: 'CAD' });
+  assert.deepStrictEqual(plain(utils.parseMoney('-$12.00')), { cents: -1200, currency: 'CAD' });
+  assert.deepStrictEqual(plain(utils.parseMoney('(12.00)')), { cents: -1200, currency: 'CAD' });
+  assert.deepStrictEqual(plain(utils.parseMoney('US$5.00')), { cents: 500, currency: 'USD' });
+  assert.strictEqual(utils.parseMoney('12.00', -1).cents, -1200);
+  assert.strictEqual(utils.parseMoney('no amount'), null);
+});
+
+test('toCanonicalDate reads month names and numeric dates', () => {
+  assert.strictEqual(utils.toCanonicalDate('Oct 21, 2025'), '2025-10-21');
+  assert.strictEqual(utils.toCanonicalDate('1/5/2025'), '2025-01-05');
+  assert.strictEqual(utils.toCanonicalDate('2025-1-5'), '2025-01-05');
+  assert.strictEqual(utils.toCanonicalDate('yesterday'), '');
+});
+
+test('formatDate fills in tokens', () => {
+  assert.strictEqual(utils.formatDate('2025-01-05', 'DD/MM/YYYY'), '05/01/2025');
+  assert.strictEqual(utils.formatDate('2025-01-05', 'MMMM D, YY'), 'January 5, 25');
+  assert.strictEqual(utils.formatDate('not a date', 'YYYY'), 'not a date');
+});
+
+test('formatDate keeps bracketed text as written', () => {
+  assert.strictEqual(utils.formatDate('2025-01-05', '[Day] D, MMM YYYY'), 'Day 5, Jan 2025');
+});
+
+test('assignTransactionIds numbers identical rows on the same day', () => {
+  const row = { isoDate: '2025-01-05', description: 'TIM HORTONS #123', amountMoney: { cents: -250, currency: 'CAD' } };
+  const [first, second, other] = utils.assignTransactionIds([row, { ...row }, { ...row, isoDate: '2025-01-06' }]);
+
+  assert.match(first.id, /^[0-9a-f]{8}$/);
+  assert.strictEqual(second.id, `${first.id}-2`);
+  assert.notStrictEqual(other.id.slice(0, 8), first.id);
+  assert.strictEqual(row.id, undefined, 'the input rows are left alone');
+});
+
+test('assignTransactionIds keeps ids that are already set', () => {
+  const [row] = utils.assignTransactionIds([{ id: 'kept', isoDate: '2025-01-05', description: 'x' }]);
+  assert.strictEqual(row.id, 'kept');
+});
+
+test('dedupeTransactions matches a page row with the statement row for the same purchase', () => {
+  // Card rows on the page print the merchant in their description divs (raw.description);
+  // the extension files it as the vendor under a made-up "Purchase" description
+  const webRow = {
+    date: '05/01/2025',
+    isoDate: '2025-01-05',
+    description: 'Purchase',
+    vendor: 'TIM HORTONS #123 TORONTO ON',
+    amountMoney: { cents: -450, currency: 'CAD' },
+    raw: { description: 'TIM HORTONS #123 TORONTO ON' }
+  };
+  // The statement appends the wrapped reference line to the description
+  const pdfRow = {
+    date: '05/01/2025',
+    isoDate: '2025-01-05',
+    description: 'TIM HORTONS #123 TORONTO ON 74500011234567',
+    amountMoney: { cents: -450, currency: 'CAD' },
+    source: 'PDF',
+    raw: { line: 'JAN 05 JAN 07 TIM HORTONS #123 TORONTO ON 4.50' }
+  };
+
+  const merged = utils.dedupeTransactions([[webRow], [pdfRow]]);
+  assert.strictEqual(merged.duplicates, 1);
+  assert.strictEqual(merged.transactions.length, 1);
+  assert.strictEqual(merged.transactions[0].description, 'Purchase', 'the first source wins');
+});
+
+test('dedupeTransactions keeps repeats that one source really has more of', () => {
+  const coffee = { isoDate: '2025-01-05', description: 'COFFEE', amountMoney: { cents: -300, currency: 'CAD' } };
+  const merged = utils.dedupeTransactions([[coffee], [coffee, { ...coffee }]]);
+
+  assert.strictEqual(merged.transactions.length, 2);
+  assert.strictEqual(merged.duplicates, 1);
+});
+
+test('dedupeTransactions keeps different rows whose descriptions start the same way', () => {
+  const row = { isoDate: '2025-01-05', amountMoney: { cents: -450, currency: 'CAD' } };
+  const page = [
+    { ...row, description: 'Interac purchase - 1234 STARBUCKS' },
+    { ...row, description: 'E-Transfer sent Bob' }
+  ];
+  const statement = [
+    { ...row, description: 'Interac purchase - 9876 TIM HORTONS' },
+    { ...row, description: 'E-Transfer sent Alice' }
+  ];
+
+  const merged = utils.dedupeTransactions([page, statement]);
+  assert.strictEqual(merged.duplicates, 0);
+  assert.strictEqual(merged.transactions.length, 4);
+  assert.strictEqual(new Set(merged.transactions.map(t => t.id)).size, 4);
+});
+
+test('assignTransactionIds includes the account and ignores row order', () => {
+  const row = { isoDate: '2025-01-05', description: 'COFFEE', amountMoney: { cents: -300, currency: 'CAD' } };
+  const [chequing] = utils.assignTransactionIds([{ ...row, account: 'Chequing' }]);
+  const [savings] = utils.assignTransactionIds([{ ...row, account: 'Savings' }]);
+  assert.notStrictEqual(chequing.id, savings.id);
+
+  const first = { ...row, balanceMoney: { cents: 10000, currency: 'CAD' } };
+  const second = { ...row, balanceMoney: { cents: 9700, currency: 'CAD' } };
+  const forward = utils.assignTransactionIds([first, second]);
+  const backward = utils.assignTransactionIds([second, first]);
+  assert.strictEqual(forward[0].id, backward[1].id);
+  assert.strictEqual(forward[1].id, backward[0].id);
+});
+
+test('hashString is deterministic FNV-1a', () => {
+  assert.strictEqual(utils.hashString(''), '811c9dc5');
+  assert.strictEqual(utils.hashString('a'), 'e40c292c');
+});